@@ -1,12 +1,15 @@
 import 'dotenv/config';
-import { Client, GatewayIntentBits, REST, Routes } from 'discord.js';
+import { ActionRowBuilder, AttachmentBuilder, ButtonBuilder, ButtonStyle, Client, GatewayIntentBits, REST, Routes } from 'discord.js';
 import { google } from 'googleapis';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import winston from 'winston';
 import DailyRotateFile from 'winston-daily-rotate-file';
 import moment from 'moment-timezone';
+import cron from 'node-cron';
+import QRCode from 'qrcode';
 
 // Get __dirname equivalent for ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -21,28 +24,97 @@ const CONFIG = {
     CLIENT_ID: process.env.CLIENT_ID,
     GUILD_ID: process.env.GUILD_ID,
     STAFF_ROLES: ['Technical', 'Membership', 'Professional'],
-    ADMIN_ROLES: ['Membership']
+    ADMIN_ROLES: ['Membership'],
+    LINK_REVIEW_CHANNEL_ID: process.env.LINK_REVIEW_CHANNEL_ID
+  },
+  STORAGE: {
+    BACKEND: (process.env.STORAGE_BACKEND || 'sheets').toLowerCase(),
+    LOCAL_PATH: process.env.LOCAL_STORAGE_PATH || './data/storage.json',
+    // Attempts at a whole-sheet update before giving up because the sheet keeps changing
+    CONFLICT_RETRIES: 3
   },
   GOOGLE_SHEETS: {
     SPREADSHEET_ID: process.env.SPREADSHEET_ID,
     CREDENTIALS_PATH: process.env.CREDENTIALS_PATH,
     EVENTS_SHEET: process.env.EVENTS_SHEET || 'Event Codes',
     POINTS_SHEET: process.env.POINTS_SHEET || 'Points Record',
-    TYPES_SHEET: process.env.TYPES_SHEET || 'Points System'
+    TYPES_SHEET: process.env.TYPES_SHEET || 'Points System',
+    RESPONSES_SHEET: process.env.RESPONSES_SHEET || 'Form Responses 1',
+    LINKS_SHEET: process.env.LINKS_SHEET || 'Discord Links',
+    CHECKINS_SHEET: process.env.CHECKINS_SHEET || 'Discord Check-ins',
+    SEASONS_SHEET: process.env.SEASONS_SHEET || 'Seasons',
+    ARCHIVE_SHEET: process.env.ARCHIVE_SHEET || 'Season Archive',
+    ADJUSTMENTS_SHEET: process.env.ADJUSTMENTS_SHEET || 'Point Adjustments',
+    BADGES_SHEET: process.env.BADGES_SHEET || 'Badges',
+    MEMBER_BADGES_SHEET: process.env.MEMBER_BADGES_SHEET || 'Member Badges',
+    SETTINGS_SHEET: process.env.SETTINGS_SHEET || 'Bot Settings',
+    SNAPSHOT_SHEET: process.env.SNAPSHOT_SHEET || 'Digest Snapshot',
+    ANNOUNCEMENTS_SHEET: process.env.ANNOUNCEMENTS_SHEET || 'Event Announcements'
   },
-  TIMEZONE: 'America/Chicago',
-  ASSETS: {
-    ATTENDANCE_QR_PATH: './assets/attendance-qr.png'
-  }
-};
-
-// Event types enum
-const EVENT_TYPES = {
-  GENERAL_MEETING: 'General Meeting',
-  TECHNICAL_WORKSHOP: 'Technical Workshop',
-  PROFESSIONAL_WORKSHOP: 'Professional Workshop',
-  TECH_TALK: 'Tech Talk',
-  SOCIAL: 'Social'
+  ATTENDANCE: {
+    TOLERANCE_MINUTES: 30,
+    DEFAULT_POINTS: 1,
+    MIN_ROTATION_SECONDS: 15,
+    MAX_ROTATION_SECONDS: 3600,
+    UPDATE_SCHEDULE: process.env.POINTS_UPDATE_SCHEDULE || '*/30 * * * *',
+    // Generated event codes leave out look-alike characters (0/O, 1/I/L)
+    CODE_ALPHABET: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789',
+    CODE_LENGTH: 6
+  },
+  LEADERBOARD: {
+    DEFAULT_PAGE_SIZE: 15,
+    MIN_PAGE_SIZE: 5,
+    MAX_PAGE_SIZE: 25
+  },
+  SERIES: {
+    MAX_OCCURRENCES: 52
+  },
+  IMPORT: {
+    MAX_FILE_BYTES: 512 * 1024,
+    MAX_ROWS: 200,
+    // How long an import preview can be confirmed
+    PREVIEW_MINUTES: 15
+  },
+  CACHE: {
+    // Seconds a fetched sheet is served from memory before the next read hits the API (0 disables caching)
+    DEFAULT_TTL_SECONDS: Number(process.env.SHEETS_CACHE_TTL_SECONDS ?? 60),
+    // Per-sheet overrides. Form responses are written by Google Forms rather than the bot,
+    // so no write of ours invalidates them and they get a shorter TTL
+    TTL_SECONDS: {
+      RESPONSES: 15
+    }
+  },
+  ROLE_REWARDS: {
+    // "Role Name:points" pairs, e.g. "Active Member:50, Veteran:150"
+    REWARDS: parseRoleRewards(process.env.ROLE_REWARDS),
+    // Staff channel that gets a summary of the roles granted and removed
+    CHANNEL_ID: process.env.ROLE_REWARDS_CHANNEL_ID
+  },
+  BADGES: {
+    // Channel where newly earned badges are announced
+    CHANNEL_ID: process.env.BADGES_CHANNEL_ID
+  },
+  DIGEST: {
+    // Defaults until an admin changes them with /digest configure (stored in the Bot Settings sheet)
+    CHANNEL_ID: process.env.DIGEST_CHANNEL_ID,
+    SCHEDULE: process.env.DIGEST_SCHEDULE || '0 18 * * 0', // Sundays at 6 PM
+    SIZE: 10,
+    MAX_SIZE: 25
+  },
+  REMINDERS: {
+    // Channel for event reminders and "check-in is open" posts (unset turns them off)
+    CHANNEL_ID: process.env.REMINDERS_CHANNEL_ID,
+    // How long before an event starts to remind members, e.g. "24h, 1h" (m, h or d)
+    OFFSETS: parseReminderOffsets(process.env.EVENT_REMINDERS ?? '24h, 1h'),
+    // After downtime, announcements older than this are skipped instead of posted late
+    GRACE_MINUTES: 10
+  },
+  CHECK_IN: {
+    // Google Form "viewform" URL and the prefill field (e.g. entry.123456789) of its event code question
+    FORM_URL: process.env.CHECKIN_FORM_URL,
+    FORM_CODE_FIELD: process.env.CHECKIN_FORM_CODE_FIELD
+  },
+  TIMEZONE: 'America/Chicago'
 };
 
 // Define the spreadsheet columns structure for each sheet
@@ -53,7 +125,11 @@ const SHEET_COLUMNS = {
     END_TIME: 'End Time',
     EVENT_NAME: 'Event Name',
     EVENT_TYPE: 'Event Type',
-    EVENT_CODE: 'Event Code'
+    EVENT_CODE: 'Event Code',
+    ROTATION_SECRET: 'Rotation Secret',
+    ROTATION_SECONDS: 'Rotation Seconds',
+    SERIES_ID: 'Series ID',
+    EVENT_ID: 'Event ID'
   },
   TYPES: {
     EVENT_TYPE: 'Event Type',
@@ -66,6 +142,76 @@ const SHEET_COLUMNS = {
     ANONYMOUS: 'Anonymous',
     POINTS: 'Points',
     LAST_UPDATE: 'Last Update'
+  },
+  RESPONSES: {
+    TIMESTAMP: 'Timestamp',
+    EMAIL: 'Email Address',
+    EVENT_CODE: 'Event Code',
+    FIRST_NAME: 'First Name',
+    LAST_NAME: 'Last Name',
+    ANONYMOUS: 'Anonymous'
+  },
+  LINKS: {
+    DISCORD_ID: 'Discord ID',
+    DISCORD_USERNAME: 'Discord Username',
+    NETID: 'NetID',
+    LINKED_AT: 'Linked At',
+    LINKED_BY: 'Linked By'
+  },
+  CHECKINS: {
+    TIMESTAMP: 'Timestamp',
+    DISCORD_ID: 'Discord ID',
+    NETID: 'NetID',
+    EVENT_CODE: 'Event Code'
+  },
+  SEASONS: {
+    NAME: 'Season',
+    START_DATE: 'Start Date',
+    END_DATE: 'End Date',
+    STATUS: 'Status'
+  },
+  ARCHIVE: {
+    SEASON: 'Season',
+    RANK: 'Rank',
+    NETID: 'NetID',
+    FIRST_NAME: 'First Name',
+    LAST_NAME: 'Last Name',
+    ANONYMOUS: 'Anonymous',
+    POINTS: 'Points'
+  },
+  ADJUSTMENTS: {
+    TIMESTAMP: 'Timestamp',
+    NETID: 'NetID',
+    AMOUNT: 'Amount',
+    REASON: 'Reason',
+    ADJUSTED_BY: 'Adjusted By'
+  },
+  BADGES: {
+    NAME: 'Badge',
+    DESCRIPTION: 'Description',
+    RULE: 'Rule',
+    VALUE: 'Value'
+  },
+  MEMBER_BADGES: {
+    NETID: 'NetID',
+    BADGE: 'Badge',
+    EARNED_AT: 'Earned At'
+  },
+  SETTINGS: {
+    KEY: 'Setting',
+    VALUE: 'Value'
+  },
+  SNAPSHOT: {
+    NETID: 'NetID',
+    RANK: 'Rank',
+    POINTS: 'Points',
+    POSTED_AT: 'Posted At'
+  },
+  ANNOUNCEMENTS: {
+    EVENT_CODE: 'Event Code',
+    ANNOUNCEMENT: 'Announcement',
+    SCHEDULED_FOR: 'Scheduled For',
+    SENT_AT: 'Sent At'
   }
 };
 
@@ -77,7 +223,11 @@ const COLUMN_ORDER = {
     SHEET_COLUMNS.EVENTS.END_TIME,
     SHEET_COLUMNS.EVENTS.EVENT_NAME,
     SHEET_COLUMNS.EVENTS.EVENT_TYPE,
-    SHEET_COLUMNS.EVENTS.EVENT_CODE
+    SHEET_COLUMNS.EVENTS.EVENT_CODE,
+    SHEET_COLUMNS.EVENTS.ROTATION_SECRET,
+    SHEET_COLUMNS.EVENTS.ROTATION_SECONDS,
+    SHEET_COLUMNS.EVENTS.SERIES_ID,
+    SHEET_COLUMNS.EVENTS.EVENT_ID
   ],
   TYPES: [
     SHEET_COLUMNS.TYPES.EVENT_TYPE,
@@ -90,9 +240,153 @@ const COLUMN_ORDER = {
     SHEET_COLUMNS.POINTS.ANONYMOUS,
     SHEET_COLUMNS.POINTS.POINTS,
     SHEET_COLUMNS.POINTS.LAST_UPDATE
+  ],
+  RESPONSES: [
+    SHEET_COLUMNS.RESPONSES.TIMESTAMP,
+    SHEET_COLUMNS.RESPONSES.EMAIL,
+    SHEET_COLUMNS.RESPONSES.EVENT_CODE,
+    SHEET_COLUMNS.RESPONSES.FIRST_NAME,
+    SHEET_COLUMNS.RESPONSES.LAST_NAME,
+    SHEET_COLUMNS.RESPONSES.ANONYMOUS
+  ],
+  LINKS: [
+    SHEET_COLUMNS.LINKS.DISCORD_ID,
+    SHEET_COLUMNS.LINKS.DISCORD_USERNAME,
+    SHEET_COLUMNS.LINKS.NETID,
+    SHEET_COLUMNS.LINKS.LINKED_AT,
+    SHEET_COLUMNS.LINKS.LINKED_BY
+  ],
+  CHECKINS: [
+    SHEET_COLUMNS.CHECKINS.TIMESTAMP,
+    SHEET_COLUMNS.CHECKINS.DISCORD_ID,
+    SHEET_COLUMNS.CHECKINS.NETID,
+    SHEET_COLUMNS.CHECKINS.EVENT_CODE
+  ],
+  SEASONS: [
+    SHEET_COLUMNS.SEASONS.NAME,
+    SHEET_COLUMNS.SEASONS.START_DATE,
+    SHEET_COLUMNS.SEASONS.END_DATE,
+    SHEET_COLUMNS.SEASONS.STATUS
+  ],
+  ARCHIVE: [
+    SHEET_COLUMNS.ARCHIVE.SEASON,
+    SHEET_COLUMNS.ARCHIVE.RANK,
+    SHEET_COLUMNS.ARCHIVE.NETID,
+    SHEET_COLUMNS.ARCHIVE.FIRST_NAME,
+    SHEET_COLUMNS.ARCHIVE.LAST_NAME,
+    SHEET_COLUMNS.ARCHIVE.ANONYMOUS,
+    SHEET_COLUMNS.ARCHIVE.POINTS
+  ],
+  ADJUSTMENTS: [
+    SHEET_COLUMNS.ADJUSTMENTS.TIMESTAMP,
+    SHEET_COLUMNS.ADJUSTMENTS.NETID,
+    SHEET_COLUMNS.ADJUSTMENTS.AMOUNT,
+    SHEET_COLUMNS.ADJUSTMENTS.REASON,
+    SHEET_COLUMNS.ADJUSTMENTS.ADJUSTED_BY
+  ],
+  BADGES: [
+    SHEET_COLUMNS.BADGES.NAME,
+    SHEET_COLUMNS.BADGES.DESCRIPTION,
+    SHEET_COLUMNS.BADGES.RULE,
+    SHEET_COLUMNS.BADGES.VALUE
+  ],
+  MEMBER_BADGES: [
+    SHEET_COLUMNS.MEMBER_BADGES.NETID,
+    SHEET_COLUMNS.MEMBER_BADGES.BADGE,
+    SHEET_COLUMNS.MEMBER_BADGES.EARNED_AT
+  ],
+  SETTINGS: [
+    SHEET_COLUMNS.SETTINGS.KEY,
+    SHEET_COLUMNS.SETTINGS.VALUE
+  ],
+  SNAPSHOT: [
+    SHEET_COLUMNS.SNAPSHOT.NETID,
+    SHEET_COLUMNS.SNAPSHOT.RANK,
+    SHEET_COLUMNS.SNAPSHOT.POINTS,
+    SHEET_COLUMNS.SNAPSHOT.POSTED_AT
+  ],
+  ANNOUNCEMENTS: [
+    SHEET_COLUMNS.ANNOUNCEMENTS.EVENT_CODE,
+    SHEET_COLUMNS.ANNOUNCEMENTS.ANNOUNCEMENT,
+    SHEET_COLUMNS.ANNOUNCEMENTS.SCHEDULED_FOR,
+    SHEET_COLUMNS.ANNOUNCEMENTS.SENT_AT
   ]
 };
 
+// Rules a row of the Badges sheet can use; the Value column is the threshold
+const BADGE_RULES = {
+  EVENTS_ATTENDED: 'events_attended', // Attended at least Value events
+  WEEKLY_STREAK: 'weekly_streak',     // Attended in Value consecutive weeks
+  ALL_EVENT_TYPES: 'all_event_types', // Attended every type in the Points System sheet
+  SEASON_RANK: 'season_rank',         // Ranked Value or better in current points
+  POINTS: 'points'                    // Reached Value current points
+};
+
+// Outcomes of matching an attendance submission to an event
+const SUBMISSION_STATUS = {
+  ACCEPTED: 'accepted',
+  DUPLICATE: 'duplicate',
+  TOO_EARLY: 'too_early',
+  TOO_LATE: 'too_late',
+  WRONG_DATE: 'wrong_date',
+  INVALID_EVENT: 'invalid_event',
+  INVALID_CODE: 'invalid_code'
+};
+
+// Most to least specific, used when several events share a code
+const SUBMISSION_REJECTION_PRIORITY = [
+  SUBMISSION_STATUS.DUPLICATE,
+  SUBMISSION_STATUS.TOO_EARLY,
+  SUBMISSION_STATUS.TOO_LATE,
+  SUBMISSION_STATUS.WRONG_DATE,
+  SUBMISSION_STATUS.INVALID_EVENT,
+  SUBMISSION_STATUS.INVALID_CODE
+];
+
+// Why a submission earned no points, as shown to staff
+const SUBMISSION_REJECTION_REASONS = {
+  [SUBMISSION_STATUS.DUPLICATE]: 'Duplicate',
+  [SUBMISSION_STATUS.TOO_EARLY]: 'Outside the time window (too early)',
+  [SUBMISSION_STATUS.TOO_LATE]: 'Outside the time window (too late)',
+  [SUBMISSION_STATUS.WRONG_DATE]: 'Wrong date',
+  [SUBMISSION_STATUS.INVALID_EVENT]: 'Event date or time is invalid',
+  [SUBMISSION_STATUS.INVALID_CODE]: 'Code not accepted'
+};
+
+const SUBMISSION_SOURCES = {
+  FORM: 'form',
+  DISCORD: 'discord'
+};
+
+// Recurrence options of /add-event-series
+const RECURRENCES = {
+  WEEKLY: 'weekly',
+  BIWEEKLY: 'biweekly',
+  CUSTOM: 'custom'
+};
+
+// Which events /edit-event and /delete-event change
+const EVENT_SCOPES = {
+  OCCURRENCE: 'occurrence',
+  SERIES: 'series'
+};
+
+const REPORT_FORMATS = {
+  TABLE: 'table',
+  CSV: 'csv'
+};
+
+const SEASON_STATUS = {
+  ACTIVE: 'Active',
+  ENDED: 'Ended'
+};
+
+// Supported values for STORAGE_BACKEND
+const STORAGE_BACKENDS = {
+  SHEETS: 'sheets',
+  LOCAL: 'local'
+};
+
 // Command permission levels
 const PERMISSION_LEVELS = {
   USER: 'USER',
@@ -112,6 +406,12 @@ function getSheetRange(sheetName, sheetType) {
   return `${sheetName}!A:${lastColumn}`;
 }
 
+// Range covering rows fromRow to toRow (1-based, inclusive) of a sheet's columns
+function getSheetRowsRange(sheetName, sheetType, fromRow, toRow) {
+  const lastColumn = String.fromCharCode(65 + COLUMN_ORDER[sheetType].length - 1);
+  return `${sheetName}!A${fromRow}:${lastColumn}${toRow}`;
+}
+
 function capitalize(value) {
   if (!value || typeof value !== 'string') return '';
   return value
@@ -198,6 +498,845 @@ function isTimeAfter(startTime, endTime) {
   return end.isAfter(start);
 }
 
+// Competition ranking ("1, 2, 2, 4"): tied entries share the best rank
+function rankByPoints(entries) {
+  const sorted = [...entries].sort((a, b) => b.points - a.points);
+  let rank = 0;
+
+  return sorted.map((entry, index) => {
+    if (index === 0 || sorted[index - 1].points !== entry.points) rank = index + 1;
+    return { ...entry, rank };
+  });
+}
+
+/**
+ * Name shown on the leaderboard; anonymous members keep their place but not their name
+ * @param {Object} member - Anything with firstName, lastName and anonymous
+ * @returns {string}
+ */
+function getDisplayName(member) {
+  return member.anonymous
+    ? 'Anonymous'
+    : `${member.firstName} ${member.lastName}`.trim() || 'Unknown';
+}
+
+/**
+ * Ranks the Points Record rows the way the unfiltered leaderboard shows them
+ * @param {Array} records - Member records from getMemberRecords()
+ * @returns {Array} Array of { netId, name, anonymous, points, rank }, best first
+ */
+function rankMemberRecords(records) {
+  return rankByPoints(records
+    .filter(record => !isNaN(record.points)) // Only rows with valid points
+    .map(record => ({
+      netId: record.netId.trim().toLowerCase(),
+      name: getDisplayName(record),
+      anonymous: record.anonymous,
+      points: record.points
+    })));
+}
+
+/**
+ * Parses the ROLE_REWARDS setting. Role names may contain colons, so the
+ * threshold is whatever follows the last one.
+ * @param {string} value - Comma-separated "Role Name:points" pairs
+ * @returns {Array} { roleName, points } sorted by threshold; bad entries have NaN points
+ */
+function parseRoleRewards(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.lastIndexOf(':');
+      return separator === -1
+        ? { roleName: entry, points: NaN }
+        : { roleName: entry.substring(0, separator).trim(), points: Number(entry.substring(separator + 1)) };
+    })
+    .sort((a, b) => a.points - b.points);
+}
+
+/**
+ * Parses the EVENT_REMINDERS setting
+ * @param {string} value - Comma-separated offsets such as "24h, 1h, 30m" or "2d"
+ * @returns {Array} { label, minutes } from earliest to latest; bad entries have NaN minutes
+ */
+function parseReminderOffsets(value) {
+  const units = { m: 1, h: 60, d: 1440 };
+
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .map(entry => {
+      const match = entry.match(/^(\d+)\s*([mhd])$/);
+      return { label: entry.replace(/\s+/g, ''), minutes: match && Number(match[1]) > 0 ? Number(match[1]) * units[match[2]] : NaN };
+    })
+    .sort((a, b) => b.minutes - a.minutes);
+}
+
+// One line per member whose reward roles change
+function formatRoleRewardChanges(changes) {
+  return changes.map(change => {
+    const parts = [
+      ...change.add.map(role => `+${role.name}`),
+      ...change.remove.map(role => `−${role.name}`)
+    ];
+    return `${change.add.length > 0 ? '⬆️' : '⬇️'} <@${change.discordId}> (\`${change.netId}\`, ${change.points} pts): ${parts.join(', ')}`;
+  }).join('\n');
+}
+
+/**
+ * Finds the runs of consecutive weeks (Monday to Sunday) with at least one attended event
+ * @param {Array} attended - Attended events from processSubmissions()
+ * @param {moment} [now] - Reference time for the current streak
+ * @returns {{longest: number, current: number}} The current streak is 0 once a full week is missed
+ */
+function getWeeklyStreaks(attended, now = moment.tz(CONFIG.TIMEZONE)) {
+  // Dates are calendar days, so week math in UTC stays clear of daylight saving shifts
+  const weeks = [...new Set(attended
+    .map(event => parseDate(event.date))
+    .filter(Boolean)
+    .map(date => moment.utc(date, 'YYYY-MM-DD').startOf('isoWeek').format('YYYY-MM-DD')))].sort();
+
+  let longest = 0;
+  let run = 0;
+  weeks.forEach((week, index) => {
+    const isNextWeek = index > 0 && moment.utc(week).diff(moment.utc(weeks[index - 1]), 'weeks') === 1;
+    run = isNextWeek ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const thisWeek = moment.utc(now.format('YYYY-MM-DD')).startOf('isoWeek');
+  const lastWeek = weeks[weeks.length - 1];
+  const current = lastWeek && thisWeek.diff(moment.utc(lastWeek), 'weeks') <= 1 ? run : 0;
+  return { longest, current };
+}
+
+/**
+ * Checks one badge rule against a member's stats
+ * @param {Object} badge - Badge from getBadgeRules()
+ * @param {Object} stats - Member stats from Achievements.buildStats()
+ * @returns {{earned: boolean, progress: string}|null} null for rules this bot doesn't know
+ */
+function evaluateBadge(badge, stats) {
+  const reach = (current, target) => ({ earned: current >= target, progress: `${Math.min(current, target)}/${target}` });
+
+  switch (badge.rule) {
+    case BADGE_RULES.EVENTS_ATTENDED:
+      return reach(stats.eventsAttended, badge.value || 1);
+    case BADGE_RULES.WEEKLY_STREAK:
+      return reach(stats.longestStreak, badge.value || 1);
+    case BADGE_RULES.ALL_EVENT_TYPES:
+      return stats.typeCount > 0 ? reach(stats.typesAttended, stats.typeCount) : { earned: false, progress: '0/0' };
+    case BADGE_RULES.SEASON_RANK:
+      return {
+        earned: stats.rank !== null && stats.rank <= (badge.value || 1),
+        progress: stats.rank !== null ? `rank ${stats.rank}` : 'unranked'
+      };
+    case BADGE_RULES.POINTS:
+      return reach(stats.points, badge.value);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Works out the attendance numbers behind /stats
+ * @param {Map} members - Map of netIDs to member objects from calculateMembers()
+ * @param {Array} events - Events from getEvents()
+ * @param {{from: string|null, to: string|null}} window - Inclusive YYYY-MM-DD bounds
+ * @param {string} today - Events after this date haven't happened yet
+ * @returns {Object} { events: [{ event, attendance, newMembers, returningMembers }], byType: [{ eventType, events, average }],
+ *   retention: [{ weeks, rate, eligible }], members, checkIns, newMembers }
+ */
+function buildAttendanceStats(members, events, window, today) {
+  const startOf = (event) => moment.tz(`${parseDate(event.date)} ${parseTime(event.startTime) || '12:00 AM'}`, 'YYYY-MM-DD h:mm A', CONFIG.TIMEZONE);
+  const held = events
+    .filter(event => parseDate(event.date) && parseDate(event.date) <= today && isInWindow(event.date, window))
+    .sort((a, b) => startOf(a).valueOf() - startOf(b).valueOf())
+    .map(event => ({ event, key: getEventKey(event), attendees: new Set(), newcomers: new Set() }));
+  const heldByKey = new Map(held.map(entry => [entry.key, entry]));
+
+  // Weeks are counted from the first event in range, Monday to Sunday
+  const week = (date) => moment.utc(parseDate(date), 'YYYY-MM-DD').startOf('isoWeek');
+  const firstWeek = held.length > 0 ? week(held[0].event.date) : null;
+  const memberWeeks = new Map(); // Map of netID to Set of week numbers attended
+
+  members.forEach((member, netId) => {
+    // A member is new at the first event they ever attended, even one before this range
+    const firstEvent = [...member.attended].sort((a, b) => startOf(a).valueOf() - startOf(b).valueOf())[0];
+
+    member.attended.forEach(event => {
+      const entry = heldByKey.get(getEventKey(event));
+      if (!entry) return;
+      entry.attendees.add(netId);
+      if (getEventKey(firstEvent) === entry.key) entry.newcomers.add(netId);
+
+      if (!memberWeeks.has(netId)) memberWeeks.set(netId, new Set());
+      memberWeeks.get(netId).add(week(event.date).diff(firstWeek, 'weeks'));
+    });
+  });
+
+  const types = new Map();
+  held.forEach(entry => {
+    const type = types.get(entry.event.eventType) || { eventType: entry.event.eventType, events: 0, attendance: 0 };
+    type.events++;
+    type.attendance += entry.attendees.size;
+    types.set(entry.event.eventType, type);
+  });
+
+  // Share of members who attended again N weeks after their first week in range,
+  // out of the members whose first week was at least N weeks before the last one
+  const end = window.to && window.to < today ? window.to : today;
+  const lastWeek = firstWeek ? moment.utc(end, 'YYYY-MM-DD').startOf('isoWeek').diff(firstWeek, 'weeks') : 0;
+  const retention = [];
+  for (let weeks = 1; weeks <= lastWeek; weeks++) {
+    const eligible = [...memberWeeks.values()].filter(attended => Math.min(...attended) + weeks <= lastWeek);
+    if (eligible.length === 0) break;
+    const retained = eligible.filter(attended => attended.has(Math.min(...attended) + weeks)).length;
+    retention.push({ weeks, rate: Math.round((retained / eligible.length) * 100), eligible: eligible.length });
+  }
+
+  return {
+    events: held.map(entry => ({
+      event: entry.event,
+      attendance: entry.attendees.size,
+      newMembers: entry.newcomers.size,
+      returningMembers: entry.attendees.size - entry.newcomers.size
+    })),
+    byType: [...types.values()].map(type => ({
+      eventType: type.eventType,
+      events: type.events,
+      average: Math.round((type.attendance / type.events) * 10) / 10
+    })).sort((a, b) => b.average - a.average),
+    retention,
+    members: memberWeeks.size,
+    checkIns: held.reduce((total, entry) => total + entry.attendees.size, 0),
+    newMembers: held.reduce((total, entry) => total + entry.newcomers.size, 0)
+  };
+}
+
+let canvasModule = null;
+
+/**
+ * Loads the chart renderer. It ships as a native binary, so it is loaded on first use
+ * and /stats falls back to text when it isn't available on this platform.
+ * @returns {Promise<Object|null>} The @napi-rs/canvas module, or null
+ */
+function loadCanvas() {
+  canvasModule ??= import('@napi-rs/canvas').catch(error => {
+    logger.warn('Chart rendering unavailable, /stats will reply with text only', { error: error.message });
+    return null;
+  });
+  return canvasModule;
+}
+
+/**
+ * Draws a bar or line chart
+ * @param {Object} canvas - The module from loadCanvas()
+ * @param {Object} chart - { title, labels, series: [{ name, values, color }], type: 'bar'|'line', stacked, maxValue, suffix }
+ * @returns {Buffer} PNG image
+ */
+function renderChart(canvas, { title, labels, series, type = 'bar', stacked = false, maxValue = null, suffix = '' }) {
+  const width = 900;
+  const height = 450;
+  const margin = { top: 70, right: 30, bottom: 110, left: 60 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  // Generic family names aren't mapped to system fonts everywhere, so name common ones first
+  const fonts = 'Arial, Helvetica, "DejaVu Sans", sans-serif';
+  const image = canvas.createCanvas(width, height);
+  const ctx = image.getContext('2d');
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = '#222222';
+  ctx.font = `bold 20px ${fonts}`;
+  ctx.textAlign = 'center';
+  ctx.fillText(title, width / 2, 32);
+
+  // Round the top of the axis up to 1, 2 or 5 times a power of ten (at least 5, so ticks are whole numbers)
+  const highest = Math.max(5, ...labels.map((_, i) => stacked
+    ? series.reduce((total, line) => total + line.values[i], 0)
+    : Math.max(...series.map(line => line.values[i]))));
+  const magnitude = 10 ** Math.floor(Math.log10(highest));
+  const top = maxValue ?? [1, 2, 5, 10].map(step => step * magnitude).find(value => value >= highest);
+  const y = (value) => margin.top + plotHeight - (value / top) * plotHeight;
+  const slot = plotWidth / Math.max(labels.length, 1);
+
+  ctx.font = `12px ${fonts}`;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let tick = 0; tick <= 5; tick++) {
+    const value = (top * tick) / 5;
+    ctx.strokeStyle = '#e5e5e5';
+    ctx.beginPath();
+    ctx.moveTo(margin.left, y(value));
+    ctx.lineTo(width - margin.right, y(value));
+    ctx.stroke();
+    ctx.fillStyle = '#555555';
+    ctx.fillText(`${Number(value.toFixed(1))}${suffix}`, margin.left - 8, y(value));
+  }
+
+  if (type === 'line') {
+    ctx.lineWidth = 3;
+    series.forEach(line => {
+      ctx.strokeStyle = line.color;
+      ctx.fillStyle = line.color;
+      ctx.beginPath();
+      line.values.forEach((value, i) => ctx[i === 0 ? 'moveTo' : 'lineTo'](margin.left + slot * (i + 0.5), y(value)));
+      ctx.stroke();
+      line.values.forEach((value, i) => {
+        ctx.beginPath();
+        ctx.arc(margin.left + slot * (i + 0.5), y(value), 4, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    });
+    ctx.lineWidth = 1;
+  } else {
+    const barWidth = (slot * 0.7) / (stacked ? 1 : series.length);
+    labels.forEach((_, i) => {
+      let base = 0;
+      series.forEach((bar, j) => {
+        const x = margin.left + slot * i + slot * 0.15 + (stacked ? 0 : j * barWidth);
+        ctx.fillStyle = bar.color;
+        ctx.fillRect(x, y(base + bar.values[i]), barWidth, y(base) - y(base + bar.values[i]));
+        if (stacked) base += bar.values[i];
+      });
+    });
+  }
+
+  ctx.strokeStyle = '#999999';
+  ctx.beginPath();
+  ctx.moveTo(margin.left, margin.top);
+  ctx.lineTo(margin.left, margin.top + plotHeight);
+  ctx.lineTo(width - margin.right, margin.top + plotHeight);
+  ctx.stroke();
+
+  // Slanted labels, thinned out so long seasons stay readable
+  const every = Math.ceil(labels.length / 25);
+  ctx.fillStyle = '#555555';
+  labels.forEach((label, i) => {
+    if (i % every !== 0) return;
+    ctx.save();
+    ctx.translate(margin.left + slot * (i + 0.5), margin.top + plotHeight + 10);
+    ctx.rotate(-Math.PI / 4);
+    ctx.fillText(label.length > 20 ? `${label.substring(0, 19)}…` : label, 0, 0);
+    ctx.restore();
+  });
+
+  if (series.length > 1) {
+    ctx.font = `13px ${fonts}`;
+    ctx.textAlign = 'left';
+    let x = margin.left;
+    series.forEach(line => {
+      ctx.fillStyle = line.color;
+      ctx.fillRect(x, 46, 12, 12);
+      ctx.fillStyle = '#333333';
+      ctx.fillText(line.name, x + 18, 52);
+      x += ctx.measureText(line.name).width + 40;
+    });
+  }
+
+  return image.toBuffer('image/png');
+}
+
+function buildCheckInUrl(eventCode) {
+  const url = new URL(CONFIG.CHECK_IN.FORM_URL);
+  url.searchParams.set('usp', 'pp_url');
+  url.searchParams.set(CONFIG.CHECK_IN.FORM_CODE_FIELD, eventCode);
+  return url.toString();
+}
+
+function normalizeNetId(netId) {
+  if (!netId || typeof netId !== 'string') return null;
+  const normalized = netId.trim().toLowerCase().replace(/@.*$/, '');
+  return /^[a-z0-9._-]{2,32}$/.test(normalized) ? normalized : null;
+}
+
+// Start and end of an event as moments in CONFIG.TIMEZONE, or null if the row can't be parsed
+function getEventWindow(event) {
+  const date = parseDate(event.date);
+  const start = parseTime(event.startTime);
+  const end = parseTime(event.endTime);
+  if (!date || !start || !end) return null;
+
+  return {
+    start: moment.tz(`${date} ${start}`, 'YYYY-MM-DD h:mm A', CONFIG.TIMEZONE),
+    end: moment.tz(`${date} ${end}`, 'YYYY-MM-DD h:mm A', CONFIG.TIMEZONE)
+  };
+}
+
+// Codes that differ only in case or whitespace are too easy to mix up on a form
+function normalizeEventCode(code) {
+  return (code || '').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * Finds an event whose code is the same as, or a near-duplicate of, the given code
+ * @param {Array} events - Array of event objects
+ * @param {string} code - Proposed event code
+ * @param {Object} [ignoredEvent] - Event being edited, which may keep its own code
+ * @returns {Object|null} The conflicting event, if any
+ */
+function findEventCodeConflict(events, code, ignoredEvent = null) {
+  const normalized = normalizeEventCode(code);
+  return events.find(event =>
+    event.eventCode &&
+    normalizeEventCode(event.eventCode) === normalized &&
+    (!ignoredEvent || getEventKey(event) !== getEventKey(ignoredEvent))) || null;
+}
+
+function describeEventCodeConflict(code, conflictingEvent) {
+  const usedBy = `"${conflictingEvent.eventName}" on ${conflictingEvent.date}`;
+  return normalizeEventCode(conflictingEvent.eventCode) === normalizeEventCode(code)
+    ? `The event code "${code}" is already used by ${usedBy}.`
+    : `The event code "${code}" is too close to "${conflictingEvent.eventCode}", already used by ${usedBy}.`;
+}
+
+function generateEventCode(events) {
+  const alphabet = CONFIG.ATTENDANCE.CODE_ALPHABET;
+
+  // With 31^6 possible codes a collision is rare, so just draw again
+  for (;;) {
+    const code = Array.from({ length: CONFIG.ATTENDANCE.CODE_LENGTH }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+    if (!findEventCodeConflict(events, code)) return code;
+  }
+}
+
+function generateSeriesId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+// Identifies an event across edits to any of its fields (e.g. for calendar exports)
+function generateEventId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Parses a weekday list like "Mon, Wed" or "tuesday thursday"
+ * @param {string} weekdaysStr - Weekday names separated by commas or spaces
+ * @returns {Array<number>|null} Day numbers (0 = Sunday), or null if any name is unknown
+ */
+function parseWeekdays(weekdaysStr) {
+  const names = (weekdaysStr || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+  const days = names.map(name => WEEKDAYS.indexOf(name.substring(0, 3)));
+  if (days.length === 0 || days.includes(-1)) return null;
+  return [...new Set(days)].sort();
+}
+
+/**
+ * Lists the dates of a recurring series. Skipped dates do not count toward `count`.
+ * @param {Object} options - { startDate, recurrence, weekdays, count, endDate, skipDates } with YYYY-MM-DD dates
+ * @returns {Array<string>} Occurrence dates (YYYY-MM-DD), at most one more than MAX_OCCURRENCES
+ */
+function buildSeriesDates({ startDate, recurrence, weekdays, count, endDate, skipDates = [] }) {
+  const dates = [];
+  const start = moment(startDate, 'YYYY-MM-DD');
+  const limit = CONFIG.SERIES.MAX_OCCURRENCES + 1;
+
+  for (let day = start.clone(); dates.length < limit; day.add(1, 'day')) {
+    const date = day.format('YYYY-MM-DD');
+    if (endDate ? date > endDate : dates.length >= count) break;
+
+    const weeksSinceStart = Math.floor(day.diff(start, 'days') / 7);
+    const isOccurrence = recurrence === RECURRENCES.CUSTOM
+      ? weekdays.includes(day.day())
+      : day.day() === start.day() && (recurrence === RECURRENCES.WEEKLY || weeksSinceStart % 2 === 0);
+
+    if (isOccurrence && !skipDates.includes(date)) dates.push(date);
+  }
+
+  return dates;
+}
+
+// Event codes may repeat across dates, so commands that change one event select it by this key
+function getEventKey(event) {
+  return [event.date, event.startTime, event.eventCode].join('|');
+}
+
+/**
+ * Finds the events a command option refers to: an exact event key from autocomplete,
+ * otherwise every event using that code
+ * @param {Array} events - Array of event objects
+ * @param {string} selector - Event key or event code
+ * @returns {Array} Matching events
+ */
+function findEventsBySelector(events, selector) {
+  const value = (selector || '').trim();
+  const byKey = events.filter(event => getEventKey(event) === value);
+  return byKey.length > 0 ? byKey : events.filter(event => event.eventCode && event.eventCode === value);
+}
+
+function isRotatingEvent(event) {
+  return Boolean(event.rotationSecret && event.rotationSeconds);
+}
+
+function generateRotationSecret() {
+  return crypto.randomBytes(20).toString('hex');
+}
+
+// TOTP-style (RFC 6238) six digit code for the rotation period containing `time`
+function generateRotatingCode(event, time = moment()) {
+  const counter = Math.floor(time.valueOf() / 1000 / event.rotationSeconds);
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', Buffer.from(event.rotationSecret, 'hex')).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 1000000).toString().padStart(6, '0');
+}
+
+// The current code and the previous one, so a code read just before it changes still works
+function getAcceptedRotatingCodes(event, time) {
+  const previousTime = moment(time).subtract(event.rotationSeconds, 'seconds');
+  return [generateRotatingCode(event, time), generateRotatingCode(event, previousTime)];
+}
+
+/**
+ * Returns how long a fetched sheet may be served from the cache
+ * @param {string} sheetType - Key of COLUMN_ORDER
+ * @returns {number} TTL in milliseconds (0 means never cache)
+ */
+function getCacheTtl(sheetType) {
+  const seconds = Math.min(CONFIG.CACHE.DEFAULT_TTL_SECONDS, CONFIG.CACHE.TTL_SECONDS[sheetType] ?? Infinity);
+  return Math.max(seconds, 0) * 1000;
+}
+
+/**
+ * Works out which event dates count toward current points: the active season, or
+ * everything after the most recent season ended. No seasons means everything counts.
+ * @param {Array} seasons - Array of season objects
+ * @returns {{from: string|null, to: string|null}} Inclusive YYYY-MM-DD bounds
+ */
+function getCountingWindow(seasons) {
+  const activeSeason = seasons.find(season => season.status === SEASON_STATUS.ACTIVE);
+  if (activeSeason) return { from: activeSeason.startDate, to: null };
+
+  const lastEnd = seasons
+    .filter(season => season.status === SEASON_STATUS.ENDED && season.endDate)
+    .map(season => season.endDate)
+    .sort()
+    .pop();
+  if (lastEnd) return { from: moment(lastEnd, 'YYYY-MM-DD').add(1, 'day').format('YYYY-MM-DD'), to: null };
+
+  return { from: null, to: null };
+}
+
+function isInWindow(dateStr, window) {
+  const date = parseDate(dateStr);
+  if (!window.from && !window.to) return true;
+  if (!date) return false;
+  return (!window.from || date >= window.from) && (!window.to || date <= window.to);
+}
+
+function hasLeaderboardFilters(filters) {
+  return Boolean(filters.from || filters.to || filters.eventType || filters.season);
+}
+
+function matchesLeaderboardFilters(event, filters) {
+  const date = parseDate(event.date);
+  if (filters.from && (!date || date < filters.from)) return false;
+  if (filters.to && (!date || date > filters.to)) return false;
+  if (filters.eventType && event.eventType !== filters.eventType) return false;
+  return true;
+}
+
+function describeLeaderboardFilters(filters) {
+  if (filters.season) return `in the ${filters.season} season`;
+
+  const parts = [];
+  if (filters.eventType) parts.push(`at ${filters.eventType} events`);
+  if (filters.from && filters.to) parts.push(`from ${filters.from} to ${filters.to}`);
+  else if (filters.from) parts.push(`since ${filters.from}`);
+  else if (filters.to) parts.push(`through ${filters.to}`);
+  return parts.join(' ');
+}
+
+// Filters ride along in button custom IDs as "from|to|eventType|season"
+function encodeLeaderboardFilters(filters) {
+  return [filters.from || '', filters.to || '', filters.eventType || '', filters.season || ''].join('|');
+}
+
+function decodeLeaderboardFilters(encoded) {
+  const [from, to, eventType, season] = (encoded || '').split('|');
+  return { from: from || null, to: to || null, eventType: eventType || null, season: season || null };
+}
+
+function parseTimestamp(timestampStr) {
+  if (!timestampStr || typeof timestampStr !== 'string') return null;
+
+  // Form responses come back formatted by the spreadsheet locale
+  const formats = [
+    'M/D/YYYY H:mm:ss', 'M/D/YYYY H:mm', 'M/D/YY H:mm:ss', 'M/D/YY H:mm',
+    'YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD H:mm:ss', 'YYYY-MM-DD HH:mm'
+  ];
+
+  const parsed = moment.tz(timestampStr.trim(), formats, true, CONFIG.TIMEZONE);
+  return parsed.isValid() ? parsed : null;
+}
+
+/**
+ * Parses CSV text (RFC 4180 quoting) into rows of cells
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} Rows, with blank lines dropped
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Builds CSV text (RFC 4180 quoting) from rows of cells
+ * @param {Array<Array>} rows - Rows of cells, header first
+ * @returns {string} CSV file contents
+ */
+function buildCsv(rows) {
+  return rows.map(row => row.map(value => {
+    let cell = (value ?? '').toString();
+    // Form answers are member-typed, so keep spreadsheets from running them as formulas
+    if (typeof value === 'string' && /^[=+\-@]/.test(cell)) cell = `'${cell}`;
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+// CSV headers are matched loosely, so "Event Name", "event_name" and "Name" all work
+const IMPORT_CSV_HEADERS = {
+  date: 'date',
+  starttime: 'startTime',
+  start: 'startTime',
+  endtime: 'endTime',
+  end: 'endTime',
+  eventname: 'eventName',
+  name: 'eventName',
+  eventtype: 'eventType',
+  type: 'eventType',
+  eventcode: 'eventCode',
+  code: 'eventCode'
+};
+
+/**
+ * Reads event rows from a CSV file with a header row
+ * @param {string} text - CSV file contents
+ * @returns {Array<Object>} { line, date, startTime, endTime, eventName, eventType, eventCode } as written in the file
+ */
+function parseEventsCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const fields = header.map(name => IMPORT_CSV_HEADERS[name.toLowerCase().replace(/[^a-z]/g, '')] || null);
+
+  return rows.map((cells, index) => {
+    const entry = { line: index + 2 };
+    fields.forEach((field, column) => {
+      if (field) entry[field] = (cells[column] || '').trim();
+    });
+    return entry;
+  });
+}
+
+function unescapeIcsText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+}
+
+/**
+ * Converts an ICS DTSTART/DTEND value to a moment in the bot's timezone
+ * @returns {moment|null} null for all-day dates, unknown timezones or bad values
+ */
+function parseIcsDateTime(value, params) {
+  if (!value || params.VALUE === 'DATE' || !value.includes('T')) return null;
+
+  let parsed;
+  if (value.endsWith('Z')) {
+    parsed = moment.utc(value, 'YYYYMMDDTHHmmss[Z]', true);
+  } else if (params.TZID) {
+    if (!moment.tz.zone(params.TZID)) return null;
+    parsed = moment.tz(value, 'YYYYMMDDTHHmmss', true, params.TZID);
+  } else {
+    // Floating times are read as local to the organization
+    parsed = moment.tz(value, 'YYYYMMDDTHHmmss', true, CONFIG.TIMEZONE);
+  }
+
+  return parsed.isValid() ? parsed.tz(CONFIG.TIMEZONE) : null;
+}
+
+/**
+ * Reads VEVENTs from an iCalendar file
+ * @param {string} text - .ics file contents
+ * @param {Array} pointTypes - Event types from the Points System sheet, matched against CATEGORIES
+ * @returns {Array<Object>} Event rows like parseEventsCsv(), plus an error for events that can't be imported
+ */
+function parseEventsIcs(text, pointTypes) {
+  // Long lines are folded onto continuation lines that start with a space or tab
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const entries = [];
+  let current = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = { line: entries.length + 1, properties: {} };
+      return;
+    }
+    if (line === 'END:VEVENT' && current) {
+      entries.push(current);
+      current = null;
+      return;
+    }
+    if (!current) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const [name, ...paramParts] = line.substring(0, separator).split(';');
+    const params = Object.fromEntries(paramParts.map(part => part.split('=')).map(([key, val]) => [key.toUpperCase(), val]));
+    current.properties[name.toUpperCase()] = { value: line.substring(separator + 1), params };
+  });
+
+  return entries.map(({ line, properties }) => {
+    const start = properties.DTSTART && parseIcsDateTime(properties.DTSTART.value, properties.DTSTART.params);
+    const end = properties.DTEND && parseIcsDateTime(properties.DTEND.value, properties.DTEND.params);
+    const categories = properties.CATEGORIES ? unescapeIcsText(properties.CATEGORIES.value).split(',') : [];
+    const entry = {
+      line,
+      date: start ? start.format('YYYY-MM-DD') : '',
+      startTime: start ? start.format('h:mm A') : '',
+      endTime: end ? end.format('h:mm A') : '',
+      eventName: properties.SUMMARY ? unescapeIcsText(properties.SUMMARY.value).trim() : '',
+      eventType: categories.map(category => category.trim()).find(category => findEventType(category, pointTypes)) || ''
+    };
+
+    if (properties.RRULE) {
+      entry.error = 'Repeating calendar events are not supported; use `/add-event-series` instead';
+    } else if (!start || !end) {
+      entry.error = 'Needs a start and end time (all-day events and unknown timezones are not supported)';
+    } else if (!end.isSame(start, 'day')) {
+      entry.error = 'Must start and end on the same day';
+    }
+    return entry;
+  });
+}
+
+/**
+ * Matches an event type case-insensitively against the Points System sheet
+ * @param {string} value - Event type as typed or imported
+ * @param {Array} pointTypes - Rows from getPointTypes()
+ * @returns {string|null} The type as spelled in the sheet, or null if it isn't listed
+ */
+function findEventType(value, pointTypes) {
+  const normalized = (value || '').trim().toLowerCase();
+  if (!normalized) return null;
+  return pointTypes.find(({ eventType }) => eventType.toLowerCase() === normalized)?.eventType || null;
+}
+
+function escapeIcsText(value) {
+  return String(value || '').replace(/([\\;,])/g, '\\$1').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 bytes are folded onto continuation lines (RFC 5545 section 3.1)
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Calendar UID for an event, from its Event ID so renaming or rescheduling it updates the
+ * existing calendar entry. Never derived from the event code, which is the attendance secret.
+ * @param {Object} event - Event from the Event Codes sheet
+ * @returns {string} UID value
+ */
+function getEventUid(event) {
+  // Rows added before Event IDs existed get one on the sheet's next rewrite; until then
+  // fall back to fields members can already see
+  const id = event.eventId ||
+    crypto.createHash('sha256').update(`${parseDate(event.date)}|${parseTime(event.startTime)}|${event.eventName}`).digest('hex').slice(0, 16);
+  return `${id}@discord-leaderboard`;
+}
+
+/**
+ * Builds an iCalendar file of events. Times are written in UTC so calendar apps
+ * place them correctly on both sides of a daylight saving change.
+ * Event codes are never included since they are the attendance secret.
+ * @param {Array} events - Events from the Event Codes sheet
+ * @returns {string} .ics file contents
+ */
+function buildEventsIcs(events) {
+  const stamp = moment.utc().format('YYYYMMDDTHHmmss[Z]');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Discord Leaderboard//Club Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Club Events',
+    `X-WR-TIMEZONE:${CONFIG.TIMEZONE}`
+  ];
+
+  events.forEach(event => {
+    const window = getEventWindow(event);
+    if (!window) return;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${getEventUid(event)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${window.start.clone().utc().format('YYYYMMDDTHHmmss[Z]')}`,
+      `DTEND:${window.end.clone().utc().format('YYYYMMDDTHHmmss[Z]')}`,
+      `SUMMARY:${escapeIcsText(event.eventName)}`,
+      `CATEGORIES:${escapeIcsText(event.eventType)}`,
+      `DESCRIPTION:${escapeIcsText(`${event.eventType}. Check in during the event to earn points.`)}`,
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
 // ============================================================================
 // LOGGING SETUP
 // ============================================================================
@@ -268,15 +1407,738 @@ class Logger {
 const logger = new Logger();
 
 // ============================================================================
-// GOOGLE SHEETS SERVICE
+// STORAGE
 // ============================================================================
-class GoogleSheetsService {
-  constructor() {
-    this.sheets = null;
+// Every backend stores the same sheets as arrays of rows (header row first) and
+// implements fetchSheetData/writeSheetData/appendRows/clearSheetRows. The record
+// helpers below are shared, so handlers never depend on which backend is configured.
+//
+// New rows are always appended. Rewriting a whole sheet goes through modifySheetData,
+// which refuses to overwrite changes it did not see (see SheetConflictError).
+class SheetConflictError extends Error {
+  constructor(sheetName) {
+    super(`The ${sheetName} sheet kept changing while it was being updated`);
+    this.name = 'SheetConflictError';
+    this.sheetName = sheetName;
   }
+}
 
-  async authenticate() {
-    try {
+/**
+ * Picks the reply for a failed command, explaining sheet conflicts to staff
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} fallback - Generic message for any other error
+ * @returns {string} Message to show the user
+ */
+function getStorageErrorMessage(error, fallback) {
+  if (error instanceof SheetConflictError) {
+    return `⚠️ The **${error.sheetName}** sheet was changed by someone else while this was being saved, so nothing was written. ` +
+           'Please check the sheet and try again.';
+  }
+  return fallback;
+}
+
+// Sheets drops trailing empty cells, so compare rows as trimmed strings
+function isSameSheetData(rowsA, rowsB) {
+  const normalize = (rows) => JSON.stringify(rows
+    .map(row => {
+      const cells = row.map(cell => (cell ?? '').toString());
+      while (cells.length > 0 && cells[cells.length - 1] === '') cells.pop();
+      return cells;
+    })
+    .filter(cells => cells.length > 0));
+  return normalize(rowsA) === normalize(rowsB);
+}
+
+class StorageService {
+  constructor() {
+    this.sheetLocks = new Map(); // Map of sheet name to the tail of its update queue
+  }
+
+  /**
+   * Reads every row of a sheet, header row first
+   * @param {string} sheetName - Sheet name
+   * @param {string} sheetType - Key of COLUMN_ORDER
+   * @param {Object} [options] - { fresh: true } skips any cache
+   */
+  async fetchSheetData(sheetName, sheetType, options) {
+    throw new Error(`fetchSheetData is not implemented by ${this.constructor.name}`);
+  }
+
+  async writeSheetData(sheetName, sheetType, rows) {
+    throw new Error(`writeSheetData is not implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Adds rows after the last row. Callers hold the sheet's lock (see appendSheetData).
+   */
+  async appendRows(sheetName, sheetType, rows) {
+    throw new Error(`appendRows is not implemented by ${this.constructor.name}`);
+  }
+
+  async appendSheetData(sheetName, sheetType, rows) {
+    // An append landing in the middle of a rewrite would be overwritten by it
+    return this.withSheetLock(sheetName, () => this.appendRows(sheetName, sheetType, rows));
+  }
+
+  /**
+   * Appends rows built from the sheet's current contents. The sheet is re-read while
+   * holding its lock, so no update or append from this process can land between the
+   * read and the append.
+   * @param {string} sheetName - Sheet name
+   * @param {string} sheetType - Key of COLUMN_ORDER
+   * @param {Function} build - Maps the current rows (header first) to the rows to append
+   * @returns {Promise<Array>} The rows that were appended
+   */
+  async appendSheetDataFrom(sheetName, sheetType, build) {
+    return this.withSheetLock(sheetName, async () => {
+      const current = await this.fetchSheetData(sheetName, sheetType, { fresh: true });
+      const rows = build(current.map(row => [...row]));
+      if (rows.length > 0) await this.appendRows(sheetName, sheetType, rows);
+      return rows;
+    });
+  }
+
+  /**
+   * Blanks rows fromRow to toRow (1-based, inclusive)
+   */
+  async clearSheetRows(sheetName, sheetType, fromRow, toRow) {
+    throw new Error(`clearSheetRows is not implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Rewrites a whole sheet from its current contents. The update starts from the rows
+   * commands have been reading (the cached copy), and the sheet is re-read just before
+   * writing; if it changed since (a manual edit or another bot instance) the update is
+   * recomputed from the new contents. After CONFLICT_RETRIES attempts the update is
+   * refused rather than overwriting the change. Appends to the sheet wait for the update,
+   * and the sheet is never left empty: the new rows are written in one update, and only
+   * then are leftover rows below them cleared.
+   * @param {string} sheetName - Sheet name
+   * @param {string} sheetType - Key of COLUMN_ORDER
+   * @param {Function} modify - Maps the current rows (header first) to the new rows
+   * @returns {Promise<Array>} The rows that were written
+   * @throws {SheetConflictError} If the sheet changed during every attempt
+   */
+  async modifySheetData(sheetName, sheetType, modify) {
+    return this.withSheetLock(sheetName, async () => {
+      let base = await this.fetchSheetData(sheetName, sheetType);
+
+      for (let attempt = 1; attempt <= CONFIG.STORAGE.CONFLICT_RETRIES; attempt++) {
+        const after = modify(base.map(row => [...row]));
+        const current = await this.fetchSheetData(sheetName, sheetType, { fresh: true });
+
+        if (isSameSheetData(base, current)) {
+          // Pad every row to the full width so a shorter row overwrites the cells it no longer has
+          const width = COLUMN_ORDER[sheetType].length;
+          const rows = after.map(row => Array.from({ length: Math.max(width, row.length) }, (_, i) => row[i] ?? ''));
+
+          await this.writeSheetData(sheetName, sheetType, rows);
+          if (current.length > rows.length) {
+            await this.clearSheetRows(sheetName, sheetType, rows.length + 1, current.length);
+          }
+          return after;
+        }
+
+        logger.warn('Sheet changed since it was read, recomputing update', { sheetName, sheetType, options: { attempt } });
+        base = current;
+      }
+
+      logger.error('[SHEET CONFLICT] Sheet update refused', {
+        sheetName,
+        sheetType,
+        options: { attempts: CONFIG.STORAGE.CONFLICT_RETRIES }
+      });
+      throw new SheetConflictError(sheetName);
+    });
+  }
+
+  /**
+   * Runs a task once every earlier update or append of the same sheet from this process
+   * has finished
+   */
+  async withSheetLock(sheetName, task) {
+    const previous = this.sheetLocks.get(sheetName) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+    this.sheetLocks.set(sheetName, tail);
+
+    try {
+      return await run;
+    } finally {
+      if (this.sheetLocks.get(sheetName) === tail) this.sheetLocks.delete(sheetName);
+    }
+  }
+
+  /**
+   * Cache hit/miss counts, for backends that cache reads
+   * @returns {Object|null} Totals and per-sheet counts, or null when the backend has no cache
+   */
+  getCacheStats() {
+    return null;
+  }
+
+  /**
+   * Drops every cached sheet so the next reads go back to the source
+   * @returns {number|null} Number of sheets dropped, or null when the backend has no cache
+   */
+  flushCache() {
+    return null;
+  }
+
+  /**
+   * Retrieves events from the events sheet
+   * @returns {Promise<Array>} Array of event objects
+   */
+  async getEvents() {
+    const rows = await this.fetchSheetData(CONFIG.GOOGLE_SHEETS.EVENTS_SHEET, 'EVENTS');
+    return this.rowsToEvents(rows);
+  }
+
+  rowsToEvents(rows) {
+    const column = (name) => getColumnIndex('EVENTS', name);
+
+    return rows.slice(1).map(row => ({
+      date: row[column(SHEET_COLUMNS.EVENTS.DATE)] || '',
+      startTime: row[column(SHEET_COLUMNS.EVENTS.START_TIME)] || '',
+      endTime: row[column(SHEET_COLUMNS.EVENTS.END_TIME)] || '',
+      eventName: row[column(SHEET_COLUMNS.EVENTS.EVENT_NAME)] || '',
+      eventType: row[column(SHEET_COLUMNS.EVENTS.EVENT_TYPE)] || '',
+      eventCode: row[column(SHEET_COLUMNS.EVENTS.EVENT_CODE)] || '',
+      rotationSecret: row[column(SHEET_COLUMNS.EVENTS.ROTATION_SECRET)] || '',
+      rotationSeconds: parseInt(row[column(SHEET_COLUMNS.EVENTS.ROTATION_SECONDS)]) || null,
+      seriesId: row[column(SHEET_COLUMNS.EVENTS.SERIES_ID)] || '',
+      eventId: row[column(SHEET_COLUMNS.EVENTS.EVENT_ID)] || ''
+    }));
+  }
+
+  /**
+   * Appends events in one write, built from a fresh read of the events sheet so that
+   * code checks see every event added before them
+   * @param {Function} build - Maps the current events to the events to append
+   * @returns {Promise<Array>} The events that were appended
+   */
+  async addEvents(build) {
+    let added = [];
+    await this.appendSheetDataFrom(CONFIG.GOOGLE_SHEETS.EVENTS_SHEET, 'EVENTS', rows => {
+      added = build(this.rowsToEvents(rows));
+      return added.map(event => this.eventToRow(event));
+    });
+    return added;
+  }
+
+  /**
+   * Rewrites the events sheet from its current contents
+   * @param {Function} modify - Maps the current events to the new events
+   * @returns {Promise<Array>} The events that were written
+   */
+  async updateEvents(modify) {
+    let updated = [];
+    await this.modifySheetData(CONFIG.GOOGLE_SHEETS.EVENTS_SHEET, 'EVENTS', rows => {
+      updated = modify(this.rowsToEvents(rows));
+      return [COLUMN_ORDER.EVENTS, ...updated.map(event => this.eventToRow(event))];
+    });
+    return updated;
+  }
+
+  eventToRow(event) {
+    const row = [];
+    row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.DATE)] = event.date;
+    row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.START_TIME)] = event.startTime;
+    row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.END_TIME)] = event.endTime;
+    row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.EVENT_NAME)] = event.eventName;
+    row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.EVENT_TYPE)] = event.eventType;
+    row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.EVENT_CODE)] = event.eventCode;
+    row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.ROTATION_SECRET)] = event.rotationSecret || '';
+    row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.ROTATION_SECONDS)] = event.rotationSeconds || '';
+    row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.SERIES_ID)] = event.seriesId || '';
+    // New events, and rows from before the column existed, get an ID the first time they are written
+    row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.EVENT_ID)] = event.eventId || generateEventId();
+    return row;
+  }
+
+  /**
+   * Retrieves event types and their point values from the point system sheet
+   * @returns {Promise<Array>} Array of { eventType, points } objects
+   */
+  async getPointTypes() {
+    const rows = await this.fetchSheetData(CONFIG.GOOGLE_SHEETS.TYPES_SHEET, 'TYPES');
+    return this.rowsToPointTypes(rows);
+  }
+
+  rowsToPointTypes(rows) {
+    const eventTypeIndex = getColumnIndex('TYPES', SHEET_COLUMNS.TYPES.EVENT_TYPE);
+    const pointsIndex = getColumnIndex('TYPES', SHEET_COLUMNS.TYPES.POINTS);
+
+    return rows.slice(1)
+      .map(row => ({
+        eventType: (row[eventTypeIndex] || '').trim(),
+        points: Number(row[pointsIndex])
+      }))
+      .filter(pointType => pointType.eventType);
+  }
+
+  /**
+   * Rewrites the point system from its current contents
+   * @param {Function} modify - Maps the current event types to the new event types
+   * @returns {Promise<Array>} The event types that were written
+   */
+  async updatePointTypes(modify) {
+    let updated = [];
+    await this.modifySheetData(CONFIG.GOOGLE_SHEETS.TYPES_SHEET, 'TYPES', rows => {
+      updated = modify(this.rowsToPointTypes(rows));
+      return [COLUMN_ORDER.TYPES, ...updated.map(({ eventType, points }) => {
+        const row = [];
+        row[getColumnIndex('TYPES', SHEET_COLUMNS.TYPES.EVENT_TYPE)] = eventType;
+        row[getColumnIndex('TYPES', SHEET_COLUMNS.TYPES.POINTS)] = points;
+        return row;
+      })];
+    });
+    return updated;
+  }
+
+  /**
+   * Retrieves member records from the points sheet
+   * @returns {Promise<Array>} Array of member record objects
+   */
+  async getMemberRecords() {
+    const rows = await this.fetchSheetData(CONFIG.GOOGLE_SHEETS.POINTS_SHEET, 'POINTS');
+    const column = (name) => getColumnIndex('POINTS', name);
+
+    return rows.slice(1).map(row => ({
+      netId: row[column(SHEET_COLUMNS.POINTS.NETID)] || '',
+      firstName: row[column(SHEET_COLUMNS.POINTS.FIRST_NAME)] || '',
+      lastName: row[column(SHEET_COLUMNS.POINTS.LAST_NAME)] || '',
+      anonymous: isAnonymous(row[column(SHEET_COLUMNS.POINTS.ANONYMOUS)]),
+      points: parseInt(row[column(SHEET_COLUMNS.POINTS.POINTS)]),
+      lastUpdate: row[column(SHEET_COLUMNS.POINTS.LAST_UPDATE)] || ''
+    }));
+  }
+
+  /**
+   * Replaces every member record in the points sheet
+   * @param {Array} records - Array of member record objects
+   */
+  async replaceMemberRecords(records) {
+    const rows = [COLUMN_ORDER.POINTS];
+
+    records.forEach(record => {
+      const row = [];
+      row[getColumnIndex('POINTS', SHEET_COLUMNS.POINTS.NETID)] = record.netId;
+      row[getColumnIndex('POINTS', SHEET_COLUMNS.POINTS.FIRST_NAME)] = record.firstName;
+      row[getColumnIndex('POINTS', SHEET_COLUMNS.POINTS.LAST_NAME)] = record.lastName;
+      row[getColumnIndex('POINTS', SHEET_COLUMNS.POINTS.ANONYMOUS)] = record.anonymous ? 'Yes' : 'No';
+      row[getColumnIndex('POINTS', SHEET_COLUMNS.POINTS.POINTS)] = record.points;
+      row[getColumnIndex('POINTS', SHEET_COLUMNS.POINTS.LAST_UPDATE)] = record.lastUpdate;
+      rows.push(row);
+    });
+
+    // Points Record is derived data, so the new records replace whatever is there
+    await this.modifySheetData(CONFIG.GOOGLE_SHEETS.POINTS_SHEET, 'POINTS', () => rows);
+  }
+
+  /**
+   * Retrieves the Discord account to NetID links
+   * @returns {Promise<Array>} Array of link objects
+   */
+  async getDiscordLinks() {
+    const rows = await this.fetchSheetData(CONFIG.GOOGLE_SHEETS.LINKS_SHEET, 'LINKS');
+    return this.rowsToLinks(rows);
+  }
+
+  rowsToLinks(rows) {
+    const column = (name) => getColumnIndex('LINKS', name);
+
+    return rows.slice(1)
+      .map(row => ({
+        discordId: row[column(SHEET_COLUMNS.LINKS.DISCORD_ID)] || '',
+        discordUsername: row[column(SHEET_COLUMNS.LINKS.DISCORD_USERNAME)] || '',
+        netId: (row[column(SHEET_COLUMNS.LINKS.NETID)] || '').trim().toLowerCase(),
+        linkedAt: row[column(SHEET_COLUMNS.LINKS.LINKED_AT)] || '',
+        linkedBy: row[column(SHEET_COLUMNS.LINKS.LINKED_BY)] || ''
+      }))
+      .filter(link => link.discordId && link.netId);
+  }
+
+  /**
+   * Finds the NetID linked to a Discord account
+   * @param {string} discordId - Discord user ID
+   * @returns {Promise<Object|null>} Link object, or null if the account is not linked
+   */
+  async getLinkByDiscordId(discordId) {
+    const links = await this.getDiscordLinks();
+    return links.find(link => link.discordId === discordId) || null;
+  }
+
+  /**
+   * Rewrites the Discord account to NetID links from their current contents
+   * @param {Function} modify - Maps the current links to the new links
+   * @returns {Promise<Array>} The links that were written
+   */
+  async updateDiscordLinks(modify) {
+    let updated = [];
+    await this.modifySheetData(CONFIG.GOOGLE_SHEETS.LINKS_SHEET, 'LINKS', rows => {
+      updated = modify(this.rowsToLinks(rows));
+      return [COLUMN_ORDER.LINKS, ...updated.map(link => this.linkToRow(link))];
+    });
+    return updated;
+  }
+
+  linkToRow(link) {
+    const row = [];
+    row[getColumnIndex('LINKS', SHEET_COLUMNS.LINKS.DISCORD_ID)] = link.discordId;
+    row[getColumnIndex('LINKS', SHEET_COLUMNS.LINKS.DISCORD_USERNAME)] = link.discordUsername;
+    row[getColumnIndex('LINKS', SHEET_COLUMNS.LINKS.NETID)] = link.netId;
+    row[getColumnIndex('LINKS', SHEET_COLUMNS.LINKS.LINKED_AT)] = link.linkedAt;
+    row[getColumnIndex('LINKS', SHEET_COLUMNS.LINKS.LINKED_BY)] = link.linkedBy;
+    return row;
+  }
+
+  /**
+   * Retrieves check-ins made with /check-in
+   * @returns {Promise<Array>} Array of check-in objects
+   */
+  async getDiscordCheckIns() {
+    const rows = await this.fetchSheetData(CONFIG.GOOGLE_SHEETS.CHECKINS_SHEET, 'CHECKINS');
+    const column = (name) => getColumnIndex('CHECKINS', name);
+
+    return rows.slice(1)
+      .map(row => ({
+        timestamp: row[column(SHEET_COLUMNS.CHECKINS.TIMESTAMP)] || '',
+        discordId: row[column(SHEET_COLUMNS.CHECKINS.DISCORD_ID)] || '',
+        netId: (row[column(SHEET_COLUMNS.CHECKINS.NETID)] || '').trim().toLowerCase(),
+        eventCode: row[column(SHEET_COLUMNS.CHECKINS.EVENT_CODE)] || ''
+      }))
+      .filter(checkIn => checkIn.netId);
+  }
+
+  /**
+   * Appends a check-in made with /check-in
+   * @param {Object} checkIn - Check-in object in the shape returned by getDiscordCheckIns()
+   */
+  async addDiscordCheckIn(checkIn) {
+    const row = [];
+    row[getColumnIndex('CHECKINS', SHEET_COLUMNS.CHECKINS.TIMESTAMP)] = checkIn.timestamp;
+    row[getColumnIndex('CHECKINS', SHEET_COLUMNS.CHECKINS.DISCORD_ID)] = checkIn.discordId;
+    row[getColumnIndex('CHECKINS', SHEET_COLUMNS.CHECKINS.NETID)] = checkIn.netId;
+    row[getColumnIndex('CHECKINS', SHEET_COLUMNS.CHECKINS.EVENT_CODE)] = checkIn.eventCode;
+    await this.appendSheetData(CONFIG.GOOGLE_SHEETS.CHECKINS_SHEET, 'CHECKINS', [row]);
+  }
+
+  /**
+   * Retrieves manual point adjustments made with /adjust-points, oldest first
+   * @returns {Promise<Array>} Array of adjustment objects
+   */
+  async getPointAdjustments() {
+    const rows = await this.fetchSheetData(CONFIG.GOOGLE_SHEETS.ADJUSTMENTS_SHEET, 'ADJUSTMENTS');
+    const column = (name) => getColumnIndex('ADJUSTMENTS', name);
+
+    return rows.slice(1)
+      .map(row => ({
+        timestamp: row[column(SHEET_COLUMNS.ADJUSTMENTS.TIMESTAMP)] || '',
+        netId: (row[column(SHEET_COLUMNS.ADJUSTMENTS.NETID)] || '').trim().toLowerCase(),
+        amount: Number(row[column(SHEET_COLUMNS.ADJUSTMENTS.AMOUNT)]),
+        reason: row[column(SHEET_COLUMNS.ADJUSTMENTS.REASON)] || '',
+        adjustedBy: row[column(SHEET_COLUMNS.ADJUSTMENTS.ADJUSTED_BY)] || ''
+      }))
+      .filter(adjustment => adjustment.netId && !isNaN(adjustment.amount));
+  }
+
+  /**
+   * Appends a manual point adjustment
+   * @param {Object} adjustment - Adjustment object in the shape returned by getPointAdjustments()
+   */
+  async addPointAdjustment(adjustment) {
+    const row = [];
+    row[getColumnIndex('ADJUSTMENTS', SHEET_COLUMNS.ADJUSTMENTS.TIMESTAMP)] = adjustment.timestamp;
+    row[getColumnIndex('ADJUSTMENTS', SHEET_COLUMNS.ADJUSTMENTS.NETID)] = adjustment.netId;
+    row[getColumnIndex('ADJUSTMENTS', SHEET_COLUMNS.ADJUSTMENTS.AMOUNT)] = adjustment.amount;
+    row[getColumnIndex('ADJUSTMENTS', SHEET_COLUMNS.ADJUSTMENTS.REASON)] = adjustment.reason;
+    row[getColumnIndex('ADJUSTMENTS', SHEET_COLUMNS.ADJUSTMENTS.ADJUSTED_BY)] = adjustment.adjustedBy;
+    await this.appendSheetData(CONFIG.GOOGLE_SHEETS.ADJUSTMENTS_SHEET, 'ADJUSTMENTS', [row]);
+  }
+
+  /**
+   * Retrieves the badge definitions from the Badges sheet
+   * @returns {Promise<Array>} Array of { name, description, rule, value } objects
+   */
+  async getBadgeRules() {
+    const rows = await this.fetchSheetData(CONFIG.GOOGLE_SHEETS.BADGES_SHEET, 'BADGES');
+    const column = (name) => getColumnIndex('BADGES', name);
+
+    return rows.slice(1)
+      .map(row => ({
+        name: (row[column(SHEET_COLUMNS.BADGES.NAME)] || '').trim(),
+        description: row[column(SHEET_COLUMNS.BADGES.DESCRIPTION)] || '',
+        rule: (row[column(SHEET_COLUMNS.BADGES.RULE)] || '').trim().toLowerCase(),
+        value: Number(row[column(SHEET_COLUMNS.BADGES.VALUE)] || 0)
+      }))
+      .filter(badge => badge.name);
+  }
+
+  /**
+   * Retrieves every badge members have earned, oldest first
+   * @returns {Promise<Array>} Array of { netId, badge, earnedAt } objects
+   */
+  async getMemberBadges() {
+    const rows = await this.fetchSheetData(CONFIG.GOOGLE_SHEETS.MEMBER_BADGES_SHEET, 'MEMBER_BADGES');
+    const column = (name) => getColumnIndex('MEMBER_BADGES', name);
+
+    return rows.slice(1)
+      .map(row => ({
+        netId: (row[column(SHEET_COLUMNS.MEMBER_BADGES.NETID)] || '').trim().toLowerCase(),
+        badge: row[column(SHEET_COLUMNS.MEMBER_BADGES.BADGE)] || '',
+        earnedAt: row[column(SHEET_COLUMNS.MEMBER_BADGES.EARNED_AT)] || ''
+      }))
+      .filter(memberBadge => memberBadge.netId && memberBadge.badge);
+  }
+
+  /**
+   * Appends newly earned badges
+   * @param {Array} memberBadges - Objects in the shape returned by getMemberBadges()
+   */
+  async addMemberBadges(memberBadges) {
+    const rows = memberBadges.map(memberBadge => {
+      const row = [];
+      row[getColumnIndex('MEMBER_BADGES', SHEET_COLUMNS.MEMBER_BADGES.NETID)] = memberBadge.netId;
+      row[getColumnIndex('MEMBER_BADGES', SHEET_COLUMNS.MEMBER_BADGES.BADGE)] = memberBadge.badge;
+      row[getColumnIndex('MEMBER_BADGES', SHEET_COLUMNS.MEMBER_BADGES.EARNED_AT)] = memberBadge.earnedAt;
+      return row;
+    });
+
+    if (rows.length > 0) {
+      await this.appendSheetData(CONFIG.GOOGLE_SHEETS.MEMBER_BADGES_SHEET, 'MEMBER_BADGES', rows);
+    }
+  }
+
+  /**
+   * Retrieves the event reminders and check-in announcements already posted
+   * @returns {Promise<Array>} Array of { eventCode, announcement, scheduledFor, sentAt } objects
+   */
+  async getSentAnnouncements() {
+    const rows = await this.fetchSheetData(CONFIG.GOOGLE_SHEETS.ANNOUNCEMENTS_SHEET, 'ANNOUNCEMENTS');
+    const column = (name) => getColumnIndex('ANNOUNCEMENTS', name);
+
+    return rows.slice(1).map(row => ({
+      eventCode: row[column(SHEET_COLUMNS.ANNOUNCEMENTS.EVENT_CODE)] || '',
+      announcement: row[column(SHEET_COLUMNS.ANNOUNCEMENTS.ANNOUNCEMENT)] || '',
+      scheduledFor: row[column(SHEET_COLUMNS.ANNOUNCEMENTS.SCHEDULED_FOR)] || '',
+      sentAt: row[column(SHEET_COLUMNS.ANNOUNCEMENTS.SENT_AT)] || ''
+    }));
+  }
+
+  /**
+   * Records a posted announcement so it is not posted again after a restart
+   * @param {Object} announcement - { eventCode, announcement, scheduledFor, sentAt }
+   */
+  async addSentAnnouncement(announcement) {
+    const row = [];
+    row[getColumnIndex('ANNOUNCEMENTS', SHEET_COLUMNS.ANNOUNCEMENTS.EVENT_CODE)] = announcement.eventCode;
+    row[getColumnIndex('ANNOUNCEMENTS', SHEET_COLUMNS.ANNOUNCEMENTS.ANNOUNCEMENT)] = announcement.announcement;
+    row[getColumnIndex('ANNOUNCEMENTS', SHEET_COLUMNS.ANNOUNCEMENTS.SCHEDULED_FOR)] = announcement.scheduledFor;
+    row[getColumnIndex('ANNOUNCEMENTS', SHEET_COLUMNS.ANNOUNCEMENTS.SENT_AT)] = announcement.sentAt;
+
+    await this.appendSheetData(CONFIG.GOOGLE_SHEETS.ANNOUNCEMENTS_SHEET, 'ANNOUNCEMENTS', [row]);
+  }
+
+  /**
+   * Retrieves the settings changed from Discord (e.g. with /digest configure)
+   * @returns {Promise<Object>} Map-like object of setting keys to string values
+   */
+  async getSettings() {
+    const rows = await this.fetchSheetData(CONFIG.GOOGLE_SHEETS.SETTINGS_SHEET, 'SETTINGS');
+    return this.rowsToSettings(rows);
+  }
+
+  rowsToSettings(rows) {
+    const keyIndex = getColumnIndex('SETTINGS', SHEET_COLUMNS.SETTINGS.KEY);
+    const valueIndex = getColumnIndex('SETTINGS', SHEET_COLUMNS.SETTINGS.VALUE);
+
+    return Object.fromEntries(rows.slice(1)
+      .filter(row => row[keyIndex])
+      .map(row => [row[keyIndex].trim(), (row[valueIndex] ?? '').toString()]));
+  }
+
+  /**
+   * Sets several settings at once, keeping the others
+   * @param {Object} changes - Setting keys to new values
+   * @returns {Promise<Object>} All settings after the update
+   */
+  async updateSettings(changes) {
+    let updated = {};
+    await this.modifySheetData(CONFIG.GOOGLE_SHEETS.SETTINGS_SHEET, 'SETTINGS', rows => {
+      updated = { ...this.rowsToSettings(rows), ...changes };
+      return [COLUMN_ORDER.SETTINGS, ...Object.entries(updated).map(([key, value]) => {
+        const row = [];
+        row[getColumnIndex('SETTINGS', SHEET_COLUMNS.SETTINGS.KEY)] = key;
+        row[getColumnIndex('SETTINGS', SHEET_COLUMNS.SETTINGS.VALUE)] = String(value);
+        return row;
+      })];
+    });
+    return updated;
+  }
+
+  /**
+   * Retrieves the standings from the last leaderboard digest
+   * @returns {Promise<Array>} Array of { netId, rank, points, postedAt } objects
+   */
+  async getDigestSnapshot() {
+    const rows = await this.fetchSheetData(CONFIG.GOOGLE_SHEETS.SNAPSHOT_SHEET, 'SNAPSHOT');
+    const column = (name) => getColumnIndex('SNAPSHOT', name);
+
+    return rows.slice(1)
+      .map(row => ({
+        netId: (row[column(SHEET_COLUMNS.SNAPSHOT.NETID)] || '').trim().toLowerCase(),
+        rank: Number(row[column(SHEET_COLUMNS.SNAPSHOT.RANK)]),
+        points: Number(row[column(SHEET_COLUMNS.SNAPSHOT.POINTS)]),
+        postedAt: row[column(SHEET_COLUMNS.SNAPSHOT.POSTED_AT)] || ''
+      }))
+      .filter(entry => entry.netId && !isNaN(entry.rank));
+  }
+
+  /**
+   * Replaces the digest snapshot with the standings that were just posted
+   * @param {Array} entries - Ranked entries ({ netId, rank, points })
+   * @param {string} postedAt - When the digest was posted
+   */
+  async replaceDigestSnapshot(entries, postedAt) {
+    const rows = [COLUMN_ORDER.SNAPSHOT, ...entries.map(entry => {
+      const row = [];
+      row[getColumnIndex('SNAPSHOT', SHEET_COLUMNS.SNAPSHOT.NETID)] = entry.netId;
+      row[getColumnIndex('SNAPSHOT', SHEET_COLUMNS.SNAPSHOT.RANK)] = entry.rank;
+      row[getColumnIndex('SNAPSHOT', SHEET_COLUMNS.SNAPSHOT.POINTS)] = entry.points;
+      row[getColumnIndex('SNAPSHOT', SHEET_COLUMNS.SNAPSHOT.POSTED_AT)] = postedAt;
+      return row;
+    })];
+
+    // Like Points Record, the snapshot is derived data
+    await this.modifySheetData(CONFIG.GOOGLE_SHEETS.SNAPSHOT_SHEET, 'SNAPSHOT', () => rows);
+  }
+
+  /**
+   * Retrieves every season, oldest first
+   * @returns {Promise<Array>} Array of season objects
+   */
+  async getSeasons() {
+    const rows = await this.fetchSheetData(CONFIG.GOOGLE_SHEETS.SEASONS_SHEET, 'SEASONS');
+    return this.rowsToSeasons(rows);
+  }
+
+  rowsToSeasons(rows) {
+    const column = (name) => getColumnIndex('SEASONS', name);
+
+    return rows.slice(1)
+      .map(row => ({
+        name: row[column(SHEET_COLUMNS.SEASONS.NAME)] || '',
+        startDate: parseDate(row[column(SHEET_COLUMNS.SEASONS.START_DATE)]) || '',
+        endDate: parseDate(row[column(SHEET_COLUMNS.SEASONS.END_DATE)]) || '',
+        status: capitalize(row[column(SHEET_COLUMNS.SEASONS.STATUS)] || '')
+      }))
+      .filter(season => season.name);
+  }
+
+  /**
+   * Rewrites the seasons from their current contents
+   * @param {Function} modify - Maps the current seasons to the new seasons
+   * @returns {Promise<Array>} The seasons that were written
+   */
+  async updateSeasons(modify) {
+    let updated = [];
+    await this.modifySheetData(CONFIG.GOOGLE_SHEETS.SEASONS_SHEET, 'SEASONS', rows => {
+      updated = modify(this.rowsToSeasons(rows));
+      return [COLUMN_ORDER.SEASONS, ...updated.map(season => {
+        const row = [];
+        row[getColumnIndex('SEASONS', SHEET_COLUMNS.SEASONS.NAME)] = season.name;
+        row[getColumnIndex('SEASONS', SHEET_COLUMNS.SEASONS.START_DATE)] = season.startDate;
+        row[getColumnIndex('SEASONS', SHEET_COLUMNS.SEASONS.END_DATE)] = season.endDate || '';
+        row[getColumnIndex('SEASONS', SHEET_COLUMNS.SEASONS.STATUS)] = season.status;
+        return row;
+      })];
+    });
+    return updated;
+  }
+
+  /**
+   * Retrieves the archived final standings of a season
+   * @param {string} seasonName - Season name (case-insensitive)
+   * @returns {Promise<Array>} Array of archived standing objects
+   */
+  async getSeasonArchive(seasonName) {
+    const rows = await this.fetchSheetData(CONFIG.GOOGLE_SHEETS.ARCHIVE_SHEET, 'ARCHIVE');
+    const column = (name) => getColumnIndex('ARCHIVE', name);
+
+    return rows.slice(1)
+      .map(row => ({
+        season: row[column(SHEET_COLUMNS.ARCHIVE.SEASON)] || '',
+        rank: parseInt(row[column(SHEET_COLUMNS.ARCHIVE.RANK)]),
+        netId: row[column(SHEET_COLUMNS.ARCHIVE.NETID)] || '',
+        firstName: row[column(SHEET_COLUMNS.ARCHIVE.FIRST_NAME)] || '',
+        lastName: row[column(SHEET_COLUMNS.ARCHIVE.LAST_NAME)] || '',
+        anonymous: isAnonymous(row[column(SHEET_COLUMNS.ARCHIVE.ANONYMOUS)]),
+        points: parseInt(row[column(SHEET_COLUMNS.ARCHIVE.POINTS)])
+      }))
+      .filter(standing => standing.season.toLowerCase() === seasonName.toLowerCase());
+  }
+
+  /**
+   * Writes a season's final standings to the archive, replacing any rows already
+   * archived for it so a retried /season end never archives the season twice
+   * @param {string} seasonName - Season name
+   * @param {Array} standings - Array of ranked member records
+   */
+  async archiveSeason(seasonName, standings) {
+    const rows = standings.map(standing => {
+      const row = [];
+      row[getColumnIndex('ARCHIVE', SHEET_COLUMNS.ARCHIVE.SEASON)] = seasonName;
+      row[getColumnIndex('ARCHIVE', SHEET_COLUMNS.ARCHIVE.RANK)] = standing.rank;
+      row[getColumnIndex('ARCHIVE', SHEET_COLUMNS.ARCHIVE.NETID)] = standing.netId;
+      row[getColumnIndex('ARCHIVE', SHEET_COLUMNS.ARCHIVE.FIRST_NAME)] = standing.firstName;
+      row[getColumnIndex('ARCHIVE', SHEET_COLUMNS.ARCHIVE.LAST_NAME)] = standing.lastName;
+      row[getColumnIndex('ARCHIVE', SHEET_COLUMNS.ARCHIVE.ANONYMOUS)] = standing.anonymous ? 'Yes' : 'No';
+      row[getColumnIndex('ARCHIVE', SHEET_COLUMNS.ARCHIVE.POINTS)] = standing.points;
+      return row;
+    });
+
+    const seasonColumn = getColumnIndex('ARCHIVE', SHEET_COLUMNS.ARCHIVE.SEASON);
+    await this.modifySheetData(CONFIG.GOOGLE_SHEETS.ARCHIVE_SHEET, 'ARCHIVE', ([headers, ...existing]) => [
+      headers,
+      ...existing.filter(row => (row[seasonColumn] || '').toLowerCase() !== seasonName.toLowerCase()),
+      ...rows
+    ]);
+  }
+
+  /**
+   * Retrieves attendance form responses
+   * @returns {Promise<Array>} Array of form response objects
+   */
+  async getFormResponses() {
+    const rows = await this.fetchSheetData(CONFIG.GOOGLE_SHEETS.RESPONSES_SHEET, 'RESPONSES');
+    const column = (name) => getColumnIndex('RESPONSES', name);
+
+    return rows.slice(1).map(row => ({
+      timestamp: row[column(SHEET_COLUMNS.RESPONSES.TIMESTAMP)] || '',
+      email: row[column(SHEET_COLUMNS.RESPONSES.EMAIL)] || '',
+      eventCode: row[column(SHEET_COLUMNS.RESPONSES.EVENT_CODE)] || '',
+      firstName: row[column(SHEET_COLUMNS.RESPONSES.FIRST_NAME)] || '',
+      lastName: row[column(SHEET_COLUMNS.RESPONSES.LAST_NAME)] || '',
+      anonymous: row[column(SHEET_COLUMNS.RESPONSES.ANONYMOUS)] || ''
+    }));
+  }
+}
+
+// ============================================================================
+// GOOGLE SHEETS SERVICE
+// ============================================================================
+class GoogleSheetsService extends StorageService {
+  constructor() {
+    super();
+    this.sheets = null;
+    this.cache = new Map(); // Map of sheet name to { promise, expiresAt }
+    this.cacheStats = new Map(); // Map of sheet name to { hits, misses }
+    this.headerChecks = new Map(); // Map of sheet name to the check that it has a header row
+  }
+
+  async authenticate() {
+    try {
       const auth = new google.auth.GoogleAuth({
         keyFile: CONFIG.GOOGLE_SHEETS.CREDENTIALS_PATH,
         scopes: ['https://www.googleapis.com/auth/spreadsheets'],
@@ -290,7 +2152,53 @@ class GoogleSheetsService {
     }
   }
 
-  async fetchSheetData(sheetName, sheetType) {
+  /**
+   * Reads a sheet through the cache. Concurrent reads of the same sheet share one API
+   * call, and every caller gets its own copy of the rows so edits never leak into the cache.
+   */
+  async fetchSheetData(sheetName, sheetType, { fresh = false } = {}) {
+    const ttl = getCacheTtl(sheetType);
+    const stats = this.cacheStats.get(sheetName) || { hits: 0, misses: 0 };
+    this.cacheStats.set(sheetName, stats);
+
+    let entry = this.cache.get(sheetName);
+    if (!fresh && ttl > 0 && entry && entry.expiresAt > Date.now()) {
+      stats.hits++;
+    } else {
+      stats.misses++;
+      entry = { promise: this.requestSheetData(sheetName, sheetType), expiresAt: Date.now() + ttl };
+
+      if (ttl > 0) {
+        this.cache.set(sheetName, entry);
+        // Never serve a failed read from the cache
+        entry.promise.catch(() => {
+          if (this.cache.get(sheetName) === entry) this.cache.delete(sheetName);
+        });
+      }
+    }
+
+    const data = await entry.promise;
+    return data.map(row => [...row]);
+  }
+
+  invalidateCache(sheetName) {
+    this.cache.delete(sheetName);
+  }
+
+  getCacheStats() {
+    const sheets = Object.fromEntries(this.cacheStats);
+    const hits = [...this.cacheStats.values()].reduce((total, stats) => total + stats.hits, 0);
+    const misses = [...this.cacheStats.values()].reduce((total, stats) => total + stats.misses, 0);
+    return { hits, misses, cachedSheets: this.cache.size, sheets };
+  }
+
+  flushCache() {
+    const flushed = this.cache.size;
+    this.cache.clear();
+    return flushed;
+  }
+
+  async requestSheetData(sheetName, sheetType) {
     try {
       if (!this.sheets) await this.authenticate();
       
@@ -299,57 +2207,4447 @@ class GoogleSheetsService {
         range: getSheetRange(sheetName, sheetType),
       });
 
-      const data = response.data.values || [];
-      
-      // Ensure we have headers, if not create them
-      if (data.length === 0) {
-        data.push(COLUMN_ORDER[sheetType]);
-      }
-      
-      return data;
-    } catch (error) {
-      logger.error('Failed to fetch sheet data', { 
-        error: error.message,
-        sheetName,
-        sheetType
-      });
-      throw error;
-    }
+      const data = response.data.values || [];
+      
+      // Ensure we have headers, if not create them
+      if (data.length === 0) {
+        data.push(COLUMN_ORDER[sheetType]);
+      }
+      
+      return data;
+    } catch (error) {
+      logger.error('Failed to fetch sheet data', { 
+        error: error.message,
+        sheetName,
+        sheetType
+      });
+      throw error;
+    }
+  }
+
+  async writeSheetData(sheetName, sheetType, rows) {
+    try {
+      if (!this.sheets) await this.authenticate();
+      
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: CONFIG.GOOGLE_SHEETS.SPREADSHEET_ID,
+        range: getSheetRange(sheetName, sheetType),
+        valueInputOption: 'RAW',
+        requestBody: { values: rows },
+      });
+      
+      logger.info('Sheet data updated successfully', { sheetName, sheetType });
+    } catch (error) {
+      logger.error('Failed to write sheet data', { 
+        error: error.message,
+        sheetName,
+        sheetType
+      });
+      throw error;
+    } finally {
+      // Even a failed write may have partly landed, so always re-read afterwards
+      this.invalidateCache(sheetName);
+    }
+  }
+
+  async appendRows(sheetName, sheetType, rows) {
+    try {
+      if (!this.sheets) await this.authenticate();
+
+      await this.ensureHeaderRow(sheetName, sheetType);
+
+      // Sheets appends after the last row atomically, so concurrent appends never overwrite each other
+      await this.sheets.spreadsheets.values.append({
+        spreadsheetId: CONFIG.GOOGLE_SHEETS.SPREADSHEET_ID,
+        range: getSheetRange(sheetName, sheetType),
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: { values: rows },
+      });
+
+      logger.info('Sheet data appended successfully', { sheetName, sheetType, options: { rows: rows.length } });
+    } catch (error) {
+      logger.error('Failed to append sheet data', {
+        error: error.message,
+        sheetName,
+        sheetType
+      });
+      throw error;
+    } finally {
+      this.invalidateCache(sheetName);
+    }
+  }
+
+  // Appending to an empty sheet would leave the first record where the header belongs.
+  // The check is shared so concurrent appends don't each write a header.
+  async ensureHeaderRow(sheetName, sheetType) {
+    if (!this.headerChecks.has(sheetName)) {
+      const check = (async () => {
+        const response = await this.sheets.spreadsheets.values.get({
+          spreadsheetId: CONFIG.GOOGLE_SHEETS.SPREADSHEET_ID,
+          range: `${sheetName}!1:1`,
+        });
+        if (response.data.values?.length) return;
+
+        await this.sheets.spreadsheets.values.update({
+          spreadsheetId: CONFIG.GOOGLE_SHEETS.SPREADSHEET_ID,
+          range: `${sheetName}!A1`,
+          valueInputOption: 'RAW',
+          requestBody: { values: [COLUMN_ORDER[sheetType]] },
+        });
+      })();
+
+      this.headerChecks.set(sheetName, check);
+      check.catch(() => this.headerChecks.delete(sheetName));
+    }
+
+    return this.headerChecks.get(sheetName);
+  }
+
+  async clearSheetRows(sheetName, sheetType, fromRow, toRow) {
+    try {
+      if (!this.sheets) await this.authenticate();
+
+      await this.sheets.spreadsheets.values.clear({
+        spreadsheetId: CONFIG.GOOGLE_SHEETS.SPREADSHEET_ID,
+        range: getSheetRowsRange(sheetName, sheetType, fromRow, toRow),
+      });
+
+      logger.info('Sheet rows cleared successfully', { sheetName, sheetType, options: { fromRow, toRow } });
+    } catch (error) {
+      logger.error('Failed to clear sheet data', {
+        error: error.message,
+        sheetName,
+        sheetType
+      });
+      throw error;
+    } finally {
+      this.invalidateCache(sheetName);
+    }
+  }
+}
+
+// ============================================================================
+// LOCAL FILE STORAGE
+// ============================================================================
+// JSON-file backend for staging and offline development. Sheets are kept as
+// { [sheetName]: rows } so the data can be pasted into a spreadsheet later.
+class LocalFileStorage extends StorageService {
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(__dirname, filePath);
+    this.data = null;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  load() {
+    if (this.data) return this.data;
+
+    try {
+      this.data = fs.existsSync(this.filePath)
+        ? JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+        : {};
+      logger.info('Local storage loaded', { options: { filePath: this.filePath } });
+      return this.data;
+    } catch (error) {
+      logger.error('Failed to load local storage', { error: error.message, filePath: this.filePath });
+      throw error;
+    }
+  }
+
+  async persist() {
+    // Chain writes so two saves never interleave on disk; a failed save must not block the next one
+    const write = this.pendingWrite.catch(() => {}).then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    this.pendingWrite = write;
+    return write;
+  }
+
+  async saveSheet(sheetName, rows) {
+    const data = this.load();
+    const hadSheet = sheetName in data;
+    const previous = data[sheetName];
+
+    data[sheetName] = rows;
+    try {
+      await this.persist();
+    } catch (error) {
+      // Put the old rows back so memory matches the file and the next save doesn't write this change anyway
+      if (data[sheetName] === rows) {
+        if (hadSheet) data[sheetName] = previous;
+        else delete data[sheetName];
+      }
+      throw error;
+    }
+  }
+
+  async fetchSheetData(sheetName, sheetType) {
+    const rows = this.load()[sheetName] || [];
+    const data = rows.map(row => [...row]);
+
+    // Ensure we have headers, if not create them
+    if (data.length === 0) {
+      data.push(COLUMN_ORDER[sheetType]);
+    }
+
+    return data;
+  }
+
+  async writeSheetData(sheetName, sheetType, rows) {
+    try {
+      const existing = this.load()[sheetName] || [];
+
+      // Mirror a Sheets range update: overwrite from the top, keep any rows below
+      await this.saveSheet(sheetName, [...rows.map(row => [...row]), ...existing.slice(rows.length)]);
+
+      logger.info('Sheet data updated successfully', { sheetName, sheetType });
+    } catch (error) {
+      logger.error('Failed to write sheet data', {
+        error: error.message,
+        sheetName,
+        sheetType
+      });
+      throw error;
+    }
+  }
+
+  async appendRows(sheetName, sheetType, rows) {
+    try {
+      const current = this.load()[sheetName];
+      const existing = current?.length ? current : [COLUMN_ORDER[sheetType]];
+
+      await this.saveSheet(sheetName, [...existing, ...rows.map(row => [...row])]);
+
+      logger.info('Sheet data appended successfully', { sheetName, sheetType, options: { rows: rows.length } });
+    } catch (error) {
+      logger.error('Failed to append sheet data', {
+        error: error.message,
+        sheetName,
+        sheetType
+      });
+      throw error;
+    }
+  }
+
+  async clearSheetRows(sheetName, sheetType, fromRow, toRow) {
+    try {
+      const existing = this.load()[sheetName] || [];
+
+      // Blank rows at the end of a sheet read back as nothing, so drop them
+      await this.saveSheet(sheetName, [...existing.slice(0, fromRow - 1), ...existing.slice(toRow)]);
+
+      logger.info('Sheet rows cleared successfully', { sheetName, sheetType, options: { fromRow, toRow } });
+    } catch (error) {
+      logger.error('Failed to clear sheet data', {
+        error: error.message,
+        sheetName,
+        sheetType
+      });
+      throw error;
+    }
+  }
+}
+
+function createStorage() {
+  switch (CONFIG.STORAGE.BACKEND) {
+    case STORAGE_BACKENDS.LOCAL:
+      return new LocalFileStorage(CONFIG.STORAGE.LOCAL_PATH);
+    case STORAGE_BACKENDS.SHEETS:
+      return new GoogleSheetsService();
+    default:
+      throw new Error(`Unknown storage backend: ${CONFIG.STORAGE.BACKEND}`);
+  }
+}
+
+// ============================================================================
+// ATTENDANCE PROCESSOR
+// ============================================================================
+// Node port of updatePoints() in SheetUpdate.gs. Rebuilds the Points Record
+// sheet from the form responses so the bot no longer depends on the daily
+// Apps Script trigger.
+class AttendanceProcessor {
+  constructor(storage) {
+    this.storage = storage;
+    this.currentRun = null;
+    this.task = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Registers a callback that runs after every successful recalculation
+   * @param {Function} listener - Called with the run summary and the members that were written
+   */
+  onUpdate(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Starts the in-process schedule (CONFIG.ATTENDANCE.UPDATE_SCHEDULE, cron syntax)
+   */
+  start() {
+    if (!cron.validate(CONFIG.ATTENDANCE.UPDATE_SCHEDULE)) {
+      logger.error('Invalid points update schedule, scheduled updates disabled', {
+        options: { schedule: CONFIG.ATTENDANCE.UPDATE_SCHEDULE }
+      });
+      return;
+    }
+
+    this.task = cron.schedule(CONFIG.ATTENDANCE.UPDATE_SCHEDULE, async () => {
+      try {
+        await this.updatePoints('schedule');
+      } catch (error) {
+        // Already logged by updatePoints
+      }
+    }, { timezone: CONFIG.TIMEZONE });
+
+    logger.info('Points update scheduled', { options: { schedule: CONFIG.ATTENDANCE.UPDATE_SCHEDULE } });
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Recalculates every member's points and rewrites the Points Record sheet.
+   * Concurrent callers share the run that is already in progress.
+   * @param {string} trigger - What started the run (for logging)
+   * @returns {Promise<Object>} Summary of the run
+   */
+  async updatePoints(trigger) {
+    if (this.currentRun) return this.currentRun;
+
+    this.currentRun = this.runUpdate(trigger).finally(() => {
+      this.currentRun = null;
+    });
+    return this.currentRun;
+  }
+
+  async runUpdate(trigger) {
+    try {
+      const { members, acceptedCount, submissionCount } = await this.calculateMembers();
+      await this.updatePointsRecord(members);
+
+      const summary = {
+        trigger,
+        submissions: submissionCount,
+        accepted: acceptedCount,
+        members: members.size
+      };
+      // Running cache totals ride along so quota pressure shows up in the regular logs
+      const cacheStats = this.storage.getCacheStats();
+      const cache = cacheStats ? { hits: cacheStats.hits, misses: cacheStats.misses } : undefined;
+      logger.info('[POINTS UPDATE SUCCESS] Points recalculated', { results: { ...summary, cache } });
+
+      // Listeners handle their own errors; a slow one must not hold up the next run
+      this.listeners.forEach(listener => listener(summary, members));
+      return summary;
+    } catch (error) {
+      logger.error('[POINTS UPDATE FAILED] Points recalculation failed', {
+        error: error.message,
+        options: { trigger }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Calculates every member's points and attended events without writing anything
+   * @param {Object} [countingWindow] - Event dates that count toward points; defaults to the current season
+   * @returns {Promise<Object>} Members plus the lookups used to build them
+   */
+  async calculateMembers(countingWindow = null) {
+    const [formResponses, checkIns, events, eventPoints, adjustments, seasons] = await Promise.all([
+      this.storage.getFormResponses(),
+      this.storage.getDiscordCheckIns(),
+      this.storage.getEvents(),
+      this.getEventPoints(),
+      this.storage.getPointAdjustments(),
+      countingWindow ? null : this.storage.getSeasons()
+    ]);
+    const eventLookup = this.createEventLookup(events);
+    const window = countingWindow || getCountingWindow(seasons);
+
+    const submissions = this.mergeSubmissions(formResponses, checkIns);
+    const { members, submittedEvents, rejected, acceptedCount } = this.processSubmissions(submissions, events, eventLookup, eventPoints, window);
+    this.applyAdjustments(members, adjustments, window);
+    return { members, submittedEvents, rejected, events, eventLookup, eventPoints, acceptedCount, submissionCount: submissions.length };
+  }
+
+  /**
+   * Checks whether a member could check in to an event right now
+   * @param {string} netId - Member NetID
+   * @param {string} eventCode - Code the member entered
+   * @param {string} timestamp - Check-in timestamp
+   * @returns {Promise<Object>} Submission status, the matched event and its point value
+   */
+  async evaluateCheckIn(netId, eventCode, timestamp) {
+    const { events, eventLookup, eventPoints, submittedEvents } = await this.calculateMembers();
+    const { status, eventIndex } = this.evaluateSubmission(
+      { netId, eventCode, timestamp },
+      events,
+      eventLookup,
+      submittedEvents.get(netId)
+    );
+    const event = eventIndex !== null ? events[eventIndex] : null;
+
+    return {
+      status,
+      event,
+      points: event ? eventPoints.get(event.eventType) || CONFIG.ATTENDANCE.DEFAULT_POINTS : 0
+    };
+  }
+
+  /**
+   * Retrieves the point value of each event type
+   * @returns {Promise<Map>} Map of event types to point values
+   */
+  async getEventPoints() {
+    const pointTypes = await this.storage.getPointTypes();
+    return new Map(pointTypes.map(({ eventType, points }) => [eventType, points]));
+  }
+
+  /**
+   * Creates a lookup map from static event codes to event indices
+   * @param {Array} events - Array of event objects
+   * @returns {Map} Map of event codes to arrays of indices
+   */
+  createEventLookup(events) {
+    const lookup = new Map();
+
+    events.forEach((event, index) => {
+      // Rotating events never accept their static code
+      if (isRotatingEvent(event)) return;
+
+      if (!lookup.has(event.eventCode)) {
+        lookup.set(event.eventCode, []);
+      }
+      lookup.get(event.eventCode).push(index);
+    });
+
+    return lookup;
+  }
+
+  /**
+   * Checks a submission timestamp against an event's time window
+   * @param {string} timestamp - Submission timestamp
+   * @param {Object} event - Event object
+   * @param {number} toleranceMinutes - Tolerance in minutes
+   * @returns {string} A SUBMISSION_STATUS value
+   */
+  checkSubmissionWindow(timestamp, event, toleranceMinutes) {
+    const submission = parseTimestamp(timestamp);
+    const window = getEventWindow(event);
+    if (!submission || !window) return SUBMISSION_STATUS.INVALID_EVENT;
+
+    // Check if dates match
+    if (submission.format('YYYY-MM-DD') !== window.start.format('YYYY-MM-DD')) {
+      return SUBMISSION_STATUS.WRONG_DATE;
+    }
+
+    // Apply tolerance around the event window
+    const allowedStart = window.start.clone().subtract(toleranceMinutes, 'minutes');
+    const allowedEnd = window.end.clone().add(toleranceMinutes, 'minutes');
+
+    if (submission.isBefore(allowedStart)) return SUBMISSION_STATUS.TOO_EARLY;
+    if (submission.isAfter(allowedEnd)) return SUBMISSION_STATUS.TOO_LATE;
+    return SUBMISSION_STATUS.ACCEPTED;
+  }
+
+  /**
+   * Matches a submission to an event
+   * @param {Object} submission - Submission with eventCode and timestamp
+   * @param {Array} events - Array of events
+   * @param {Map} eventLookup - Event code lookup map
+   * @param {Set} [creditedEvents] - Indices of events the member already got credit for
+   * @returns {{status: string, eventIndex: number|null}} Status and the matched (or closest) event
+   */
+  evaluateSubmission(submission, events, eventLookup, creditedEvents = new Set()) {
+    const candidates = [
+      ...(eventLookup.get(submission.eventCode) || []),
+      ...this.findRotatingEvents(submission, events)
+    ];
+    let rejection = { status: SUBMISSION_STATUS.INVALID_CODE, eventIndex: null };
+
+    for (const idx of candidates) {
+      let status = this.checkSubmissionWindow(submission.timestamp, events[idx], CONFIG.ATTENDANCE.TOLERANCE_MINUTES);
+
+      if (status === SUBMISSION_STATUS.ACCEPTED) {
+        if (!creditedEvents.has(idx)) return { status, eventIndex: idx };
+        status = SUBMISSION_STATUS.DUPLICATE;
+      }
+
+      // Report the most specific reason when several events share the code
+      if (SUBMISSION_REJECTION_PRIORITY.indexOf(status) < SUBMISSION_REJECTION_PRIORITY.indexOf(rejection.status)) {
+        rejection = { status, eventIndex: idx };
+      }
+    }
+
+    return rejection;
+  }
+
+  /**
+   * Finds rotating-code events that accepted the submitted code at submission time
+   * @param {Object} submission - Submission with eventCode and timestamp
+   * @param {Array} events - Array of events
+   * @returns {Array} Matching event indices
+   */
+  findRotatingEvents(submission, events) {
+    const submittedAt = parseTimestamp(submission.timestamp);
+    if (!submittedAt || !/^\d{6}$/.test(submission.eventCode)) return [];
+
+    return events
+      .map((event, index) => ({ event, index }))
+      .filter(({ event }) => isRotatingEvent(event) && parseDate(event.date) === submittedAt.format('YYYY-MM-DD'))
+      .filter(({ event }) => getAcceptedRotatingCodes(event, submittedAt).includes(submission.eventCode))
+      .map(({ index }) => index);
+  }
+
+  /**
+   * Extracts netID from email address
+   * @param {string} email - Email address
+   * @returns {string} NetID (username before @)
+   */
+  extractNetID(email) {
+    return email.split('@')[0].trim().toLowerCase();
+  }
+
+  /**
+   * Combines form responses and Discord check-ins into one chronological list
+   * @param {Array} formResponses - Array of form responses
+   * @param {Array} checkIns - Array of Discord check-ins
+   * @returns {Array} Submissions, oldest first
+   */
+  mergeSubmissions(formResponses, checkIns) {
+    const submissions = [
+      ...formResponses
+        .filter(response => response.email)
+        .map(response => ({ ...response, netId: this.extractNetID(response.email), source: SUBMISSION_SOURCES.FORM })),
+      ...checkIns.map(checkIn => ({ ...checkIn, source: SUBMISSION_SOURCES.DISCORD }))
+    ].map(submission => ({ submission, time: parseTimestamp(submission.timestamp)?.valueOf() ?? 0 }));
+
+    // Stable sort keeps sheet order for equal timestamps
+    return submissions
+      .sort((a, b) => a.time - b.time)
+      .map(({ submission }) => submission);
+  }
+
+  /**
+   * Processes all submissions and builds member map
+   * @param {Array} submissions - Submissions from mergeSubmissions()
+   * @param {Array} events - Array of events
+   * @param {Map} eventLookup - Event code lookup map
+   * @param {Map} eventPoints - Event points map
+   * @param {Object} countingWindow - Event dates that count toward points ({ from, to })
+   * @returns {{members: Map, submittedEvents: Map, rejected: Array, acceptedCount: number}} Map of netIDs
+   *   to member objects (with attended events), of netIDs to the indices of the events they got credit
+   *   for, and the rejected submissions with their status and closest event index
+   */
+  processSubmissions(submissions, events, eventLookup, eventPoints, countingWindow) {
+    const members = new Map();
+    const submittedEvents = new Map(); // Map of netID to Set of event indices
+    const rejected = [];
+    let acceptedCount = 0;
+
+    // Traverse in reverse order (most recent first)
+    for (let i = submissions.length - 1; i >= 0; i--) {
+      const submission = submissions[i];
+      const netID = submission.netId;
+      const isFormResponse = submission.source === SUBMISSION_SOURCES.FORM;
+
+      // Add member info on first occurrence to capture latest information
+      if (!members.has(netID)) {
+        members.set(netID, {
+          firstName: '',
+          lastName: '',
+          anonymous: true,
+          points: 0,
+          lastUpdate: submission.timestamp,
+          attended: [],
+          hasProfile: false
+        });
+      }
+
+      // Names and the anonymity choice only come from the form
+      const member = members.get(netID);
+      if (isFormResponse && !member.hasProfile) {
+        member.firstName = submission.firstName;
+        member.lastName = submission.lastName;
+        member.anonymous = !submission.anonymous || !submission.anonymous.toString().toLowerCase().includes('yes');
+        member.hasProfile = true;
+      }
+
+      const { status, eventIndex } = this.evaluateSubmission(submission, events, eventLookup, submittedEvents.get(netID));
+      if (status !== SUBMISSION_STATUS.ACCEPTED) {
+        rejected.push({ ...submission, status, eventIndex });
+        continue;
+      }
+
+      // Record this submission to prevent duplicates
+      if (!submittedEvents.has(netID)) {
+        submittedEvents.set(netID, new Set());
+      }
+      submittedEvents.get(netID).add(eventIndex);
+
+      // Attendance outside the current season is kept for history but earns no current points
+      const event = events[eventIndex];
+      const pointIncrement = eventPoints.get(event.eventType) || CONFIG.ATTENDANCE.DEFAULT_POINTS;
+      const counted = isInWindow(event.date, countingWindow);
+      if (counted) member.points += pointIncrement;
+      member.attended.push({ ...event, timestamp: submission.timestamp, points: pointIncrement, source: submission.source, counted });
+      acceptedCount++;
+    }
+
+    return { members, submittedEvents, rejected, acceptedCount };
+  }
+
+  /**
+   * Adds manual point adjustments to the members built by processSubmissions().
+   * Like attendance, an adjustment only counts toward current points when it was
+   * made inside the counting window.
+   * @param {Map} members - Map of netIDs to member objects
+   * @param {Array} adjustments - Adjustments from getPointAdjustments()
+   * @param {Object} countingWindow - Dates that count toward points ({ from, to })
+   */
+  applyAdjustments(members, adjustments, countingWindow) {
+    members.forEach(member => {
+      member.adjustments = [];
+    });
+
+    adjustments.forEach(adjustment => {
+      // Members can be awarded points before they ever check in
+      if (!members.has(adjustment.netId)) {
+        members.set(adjustment.netId, {
+          firstName: '',
+          lastName: '',
+          anonymous: true,
+          points: 0,
+          lastUpdate: adjustment.timestamp,
+          attended: [],
+          adjustments: [],
+          hasProfile: false
+        });
+      }
+
+      const member = members.get(adjustment.netId);
+      const date = parseTimestamp(adjustment.timestamp)?.format('YYYY-MM-DD') || '';
+      const counted = isInWindow(date, countingWindow);
+      if (counted) member.points += adjustment.amount;
+      member.adjustments.push({ ...adjustment, date, counted });
+    });
+  }
+
+  /**
+   * Rewrites the Points Record sheet with member data
+   * @param {Map} members - Map of netIDs to member objects
+   */
+  async updatePointsRecord(members) {
+    const records = [...members].map(([netId, { attended, adjustments, hasProfile, ...member }]) => ({ netId, ...member }));
+    await this.storage.replaceMemberRecords(records);
+  }
+}
+
+// ============================================================================
+// ROLE REWARDS
+// ============================================================================
+// Keeps the CONFIG.ROLE_REWARDS roles in line with linked members' current
+// points. Only the configured roles are ever added or removed.
+class RoleRewards {
+  constructor(storage, client) {
+    this.storage = storage;
+    this.client = client;
+    this.currentSync = Promise.resolve();
+  }
+
+  isEnabled() {
+    return CONFIG.ROLE_REWARDS.REWARDS.length > 0;
+  }
+
+  /**
+   * Works out which reward roles each linked member should gain or lose
+   * @returns {Promise<Object>} { changes, missingRoles, guild } where each change is
+   *   { discordId, netId, points, member, add: [Role], remove: [Role] }
+   */
+  async planChanges() {
+    const guild = await this.client.guilds.fetch(CONFIG.DISCORD.GUILD_ID);
+    const rewards = CONFIG.ROLE_REWARDS.REWARDS.map(reward => ({
+      ...reward,
+      role: guild.roles.cache.find(role => role.name === reward.roleName) || null
+    }));
+    const missingRoles = rewards.filter(reward => !reward.role).map(reward => reward.roleName);
+    const rewardRoles = rewards.filter(reward => reward.role);
+
+    const points = new Map((await this.storage.getMemberRecords())
+      .map(record => [record.netId.trim().toLowerCase(), isNaN(record.points) ? 0 : record.points]));
+    const links = await this.storage.getDiscordLinks();
+
+    // One gateway request per 100 members (Discord's limit) instead of one REST call per member
+    const discordIds = [...new Set(links.map(link => link.discordId))];
+    const members = new Map();
+    for (let i = 0; i < discordIds.length; i += 100) {
+      const fetched = await guild.members.fetch({ user: discordIds.slice(i, i + 100) });
+      fetched.forEach(member => members.set(member.id, member));
+    }
+
+    const changes = [];
+    for (const link of links) {
+      // Members who left the server are not returned by the fetch, so they are skipped
+      const member = members.get(link.discordId);
+      if (!member) continue;
+
+      const memberPoints = points.get(link.netId) || 0;
+      const earned = rewardRoles.filter(reward => memberPoints >= reward.points).map(reward => reward.role);
+      const add = earned.filter(role => !member.roles.cache.has(role.id));
+      const remove = rewardRoles
+        .map(reward => reward.role)
+        .filter(role => member.roles.cache.has(role.id) && !earned.includes(role));
+
+      if (add.length > 0 || remove.length > 0) {
+        changes.push({ discordId: link.discordId, netId: link.netId, points: memberPoints, member, add, remove });
+      }
+    }
+
+    return { changes, missingRoles, guild };
+  }
+
+  /**
+   * Grants and removes reward roles, then posts the promotions to the staff channel.
+   * Syncs run one at a time so back-to-back recalculations don't race each other.
+   * @param {string} trigger - What started the sync (for logging)
+   */
+  sync(trigger) {
+    if (!this.isEnabled()) return Promise.resolve(null);
+
+    this.currentSync = this.currentSync.then(() => this.runSync(trigger)).catch(error => {
+      logger.error('[ROLE REWARDS FAILED] Role sync failed', { error: error.message, options: { trigger } });
+      return null;
+    });
+    return this.currentSync;
+  }
+
+  async runSync(trigger) {
+    const { changes, missingRoles } = await this.planChanges();
+    const failed = [];
+
+    for (const change of changes) {
+      const reason = `Role rewards: ${change.points} point(s)`;
+      try {
+        if (change.add.length > 0) await change.member.roles.add(change.add, reason);
+        if (change.remove.length > 0) await change.member.roles.remove(change.remove, reason);
+      } catch (error) {
+        // Usually the bot's own role sits below the reward role
+        failed.push({ netId: change.netId, error: error.message });
+      }
+    }
+
+    const applied = changes.filter(change => !failed.some(failure => failure.netId === change.netId));
+    const results = {
+      trigger,
+      granted: applied.reduce((total, change) => total + change.add.length, 0),
+      removed: applied.reduce((total, change) => total + change.remove.length, 0),
+      failed,
+      missingRoles
+    };
+
+    if (changes.length > 0 || missingRoles.length > 0) {
+      logger.info('[ROLE REWARDS SUCCESS] Reward roles synced', {
+        after: applied.map(change => ({
+          netId: change.netId,
+          points: change.points,
+          added: change.add.map(role => role.name),
+          removed: change.remove.map(role => role.name)
+        })),
+        results,
+      });
+    }
+
+    if (applied.length > 0 || failed.length > 0) {
+      await this.postSummary(applied, failed);
+    }
+    return results;
+  }
+
+  async postSummary(applied, failed) {
+    if (!CONFIG.ROLE_REWARDS.CHANNEL_ID) return;
+
+    const channel = await this.client.channels.fetch(CONFIG.ROLE_REWARDS.CHANNEL_ID).catch(() => null);
+    if (!channel) {
+      logger.error('[ROLE REWARDS FAILED] Staff channel not available', {
+        options: { channelId: CONFIG.ROLE_REWARDS.CHANNEL_ID }
+      });
+      return;
+    }
+
+    let content = `🎖️ **Role rewards updated**\n${formatRoleRewardChanges(applied)}`;
+    if (failed.length > 0) {
+      content += `\n⚠️ Could not update ${failed.map(failure => `\`${failure.netId}\``).join(', ')}. Check that the bot's role is above the reward roles.`;
+    }
+
+    // Mentions identify members without pinging them
+    await channel.send({ content: content.substring(0, 1900), allowedMentions: { parse: [] } });
+  }
+}
+
+// ============================================================================
+// ACHIEVEMENTS
+// ============================================================================
+// Awards the badges defined in the Badges sheet from attendance history.
+// Earned badges are kept in the Member Badges sheet and never taken away.
+class Achievements {
+  constructor(storage, client) {
+    this.storage = storage;
+    this.client = client;
+    this.currentSync = Promise.resolve();
+  }
+
+  /**
+   * Builds the numbers the badge rules are checked against
+   * @param {Map} members - Map of netIDs to member objects from calculateMembers()
+   * @param {Array} pointTypes - Event types from the Points System sheet
+   * @returns {Map} Map of netIDs to { eventsAttended, longestStreak, currentStreak, typesAttended, typeCount, rank, points }
+   */
+  buildStats(members, pointTypes) {
+    const ranks = new Map(rankByPoints([...members]
+      .map(([netId, member]) => ({ netId, points: member.points }))
+      .filter(entry => entry.points > 0))
+      .map(entry => [entry.netId, entry.rank]));
+    const typeNames = pointTypes.map(pointType => pointType.eventType);
+
+    return new Map([...members].map(([netId, member]) => {
+      const streaks = getWeeklyStreaks(member.attended);
+      const attendedTypes = new Set(member.attended.map(event => event.eventType));
+      return [netId, {
+        eventsAttended: member.attended.length,
+        longestStreak: streaks.longest,
+        currentStreak: streaks.current,
+        typesAttended: typeNames.filter(type => attendedTypes.has(type)).length,
+        typeCount: typeNames.length,
+        rank: ranks.get(netId) ?? null,
+        points: member.points
+      }];
+    }));
+  }
+
+  /**
+   * Records newly earned badges and announces them. Syncs run one at a time.
+   * @param {Map} members - Members from the recalculation that just finished
+   */
+  sync(members) {
+    this.currentSync = this.currentSync.then(() => this.runSync(members)).catch(error => {
+      logger.error('[BADGES FAILED] Badge sync failed', { error: error.message });
+      return null;
+    });
+    return this.currentSync;
+  }
+
+  async runSync(members) {
+    const badges = await this.storage.getBadgeRules();
+    if (badges.length === 0) return null;
+
+    const stats = this.buildStats(members, await this.storage.getPointTypes());
+    const earned = await this.storage.getMemberBadges();
+    const earnedKeys = new Set(earned.map(memberBadge => `${memberBadge.netId}|${memberBadge.badge.toLowerCase()}`));
+    const earnedAt = getCurrentTimestamp();
+    const unknownRules = new Set();
+    const newBadges = [];
+
+    stats.forEach((memberStats, netId) => {
+      badges.forEach(badge => {
+        const result = evaluateBadge(badge, memberStats);
+        if (!result) unknownRules.add(badge.rule);
+        if (result?.earned && !earnedKeys.has(`${netId}|${badge.name.toLowerCase()}`)) {
+          newBadges.push({ netId, badge: badge.name, earnedAt });
+        }
+      });
+    });
+
+    if (unknownRules.size > 0) {
+      logger.warn('[BADGES FAILED] Badges with unknown rules were skipped', {
+        options: { rules: [...unknownRules], supported: Object.values(BADGE_RULES) }
+      });
+    }
+
+    if (newBadges.length === 0) return { awarded: 0 };
+    await this.storage.addMemberBadges(newBadges);
+
+    // The first sync backfills badges for all past attendance, which would flood the channel
+    const backfill = earned.length === 0;
+    logger.info('[BADGES SUCCESS] Badges awarded', {
+      after: newBadges,
+      results: { awarded: newBadges.length, announced: !backfill },
+    });
+
+    if (!backfill) {
+      await this.announce(newBadges, members, badges);
+    }
+    return { awarded: newBadges.length };
+  }
+
+  async announce(newBadges, members, badges) {
+    if (!CONFIG.BADGES.CHANNEL_ID) return;
+
+    const channel = await this.client.channels.fetch(CONFIG.BADGES.CHANNEL_ID).catch(() => null);
+    if (!channel) {
+      logger.error('[BADGES FAILED] Announcement channel not available', {
+        options: { channelId: CONFIG.BADGES.CHANNEL_ID }
+      });
+      return;
+    }
+
+    // Only linked members can be mentioned, and anonymous members are not called out
+    const links = new Map((await this.storage.getDiscordLinks()).map(link => [link.netId, link.discordId]));
+    const lines = newBadges
+      .filter(memberBadge => links.has(memberBadge.netId) && !members.get(memberBadge.netId)?.anonymous)
+      .map(memberBadge => {
+        const badge = badges.find(existing => existing.name === memberBadge.badge);
+        return `🏅 <@${links.get(memberBadge.netId)}> earned **${memberBadge.badge}**${badge?.description ? ` (${badge.description})` : ''}`;
+      });
+
+    // Split across messages to stay under Discord's length limit
+    let content = '';
+    for (const line of lines) {
+      if (content.length + line.length > 1900) {
+        await channel.send({ content, allowedMentions: { parse: ['users'] } });
+        content = '';
+      }
+      content += `${line}\n`;
+    }
+    if (content) {
+      await channel.send({ content, allowedMentions: { parse: ['users'] } });
+    }
+  }
+}
+
+class LeaderboardDigest {
+  constructor(storage, client, attendanceProcessor) {
+    this.storage = storage;
+    this.client = client;
+    this.attendanceProcessor = attendanceProcessor;
+    this.task = null;
+    this.currentPost = null;
+  }
+
+  /**
+   * Reads the digest settings, falling back to the environment defaults
+   * @returns {Promise<Object>} { channelId, schedule, size, paused }
+   */
+  async getSettings() {
+    const settings = await this.storage.getSettings();
+    const size = parseInt(settings['digest.size']);
+
+    return {
+      channelId: settings['digest.channelId'] || CONFIG.DIGEST.CHANNEL_ID || null,
+      schedule: settings['digest.schedule'] || CONFIG.DIGEST.SCHEDULE,
+      size: size > 0 ? Math.min(size, CONFIG.DIGEST.MAX_SIZE) : CONFIG.DIGEST.SIZE,
+      paused: settings['digest.paused'] === 'true'
+    };
+  }
+
+  /**
+   * Starts (or restarts) the in-process schedule from the current settings
+   */
+  async start() {
+    const settings = await this.getSettings();
+    this.stop();
+
+    if (settings.paused) {
+      logger.info('Leaderboard digest paused, not scheduling', { options: settings });
+      return;
+    }
+    if (!cron.validate(settings.schedule)) {
+      logger.error('Invalid leaderboard digest schedule, scheduled digests disabled', {
+        options: { schedule: settings.schedule }
+      });
+      return;
+    }
+
+    this.task = cron.schedule(settings.schedule, async () => {
+      try {
+        await this.post('schedule');
+      } catch (error) {
+        // Already logged by post
+      }
+    }, { timezone: CONFIG.TIMEZONE });
+
+    logger.info('Leaderboard digest scheduled', { options: settings });
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Recalculates points and posts the digest. Concurrent callers share the post in progress.
+   * @param {string} trigger - What started the post (for logging)
+   * @returns {Promise<Object>} { channelId, entries, newEntrants, events }
+   */
+  async post(trigger) {
+    if (this.currentPost) return this.currentPost;
+
+    this.currentPost = this.runPost(trigger).finally(() => {
+      this.currentPost = null;
+    });
+    return this.currentPost;
+  }
+
+  async runPost(trigger) {
+    try {
+      const settings = await this.getSettings();
+      if (!settings.channelId) {
+        throw new Error('No digest channel is configured');
+      }
+
+      const channel = await this.client.channels.fetch(settings.channelId).catch(() => null);
+      if (!channel) {
+        throw new Error(`Digest channel ${settings.channelId} is not available`);
+      }
+
+      await this.attendanceProcessor.updatePoints('digest');
+      const digest = await this.buildDigest(settings.size);
+
+      await channel.send({ content: digest.content, allowedMentions: { parse: [] } });
+      await this.storage.replaceDigestSnapshot(digest.entries, getCurrentTimestamp());
+
+      const results = {
+        channelId: settings.channelId,
+        members: digest.entries.length,
+        newEntrants: digest.newEntrants.length,
+        events: digest.events.length
+      };
+      logger.info('[DIGEST SUCCESS] Leaderboard digest posted', { options: { trigger }, results });
+      return results;
+    } catch (error) {
+      logger.error('[DIGEST FAILED] Leaderboard digest could not be posted', {
+        options: { trigger },
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Builds the digest message from the current standings and the last snapshot
+   * @param {number} size - How many places to show
+   * @returns {Promise<Object>} { content, entries, newEntrants, events }
+   */
+  async buildDigest(size) {
+    const entries = rankMemberRecords(await this.storage.getMemberRecords());
+    const snapshot = new Map((await this.storage.getDigestSnapshot()).map(entry => [entry.netId, entry]));
+    // With no snapshot (the first digest), everyone would be "new"
+    const newEntrants = snapshot.size > 0 ? entries.filter(entry => !snapshot.has(entry.netId)) : [];
+
+    const today = moment.tz(CONFIG.TIMEZONE);
+    const weekStart = today.clone().subtract(6, 'days').format('YYYY-MM-DD');
+    const weekEnd = today.format('YYYY-MM-DD');
+    const { members, events: allEvents } = await this.attendanceProcessor.calculateMembers();
+
+    // Attendance is counted per event; events are told apart by date, start time and name
+    const eventKey = (event) => `${event.date}|${event.startTime}|${event.eventName}`;
+    const attendance = new Map();
+    members.forEach(member => member.attended.forEach(event => {
+      attendance.set(eventKey(event), (attendance.get(eventKey(event)) || 0) + 1);
+    }));
+    // Sheet dates may be M/D/YYYY as well as YYYY-MM-DD, so compare them normalized
+    const events = allEvents
+      .map(event => ({ event, day: parseDate(event.date), window: getEventWindow(event) }))
+      .filter(({ day }) => day && day >= weekStart && day <= weekEnd)
+      .sort((a, b) => (a.window?.start.valueOf() ?? Infinity) - (b.window?.start.valueOf() ?? Infinity))
+      .map(({ event, day }) => ({ ...event, day, attendance: attendance.get(eventKey(event)) || 0 }));
+
+    let content = `📰 **Leaderboard Digest** (${moment(weekStart, 'YYYY-MM-DD').format('MMM D')} – ${today.format('MMM D')})\n`;
+
+    if (entries.length === 0) {
+      content += 'No one is on the leaderboard yet.\n';
+    } else {
+      content += '```\n';
+      content += 'Rank | Name                    | Points   | Move\n';
+      content += '-----|-------------------------|----------|-----\n';
+      entries.slice(0, size).forEach(entry => {
+        const rank = entry.rank.toString().padStart(3, ' ');
+        const name = entry.name.padEnd(23, ' ').substring(0, 23);
+        const points = Number(entry.points).toLocaleString().padStart(8, ' ');
+        content += ` ${rank} | ${name} | ${points} | ${this.describeMovement(entry, snapshot)}\n`;
+      });
+      content += '```\n';
+    }
+
+    if (newEntrants.length > 0) {
+      const named = newEntrants.filter(entry => !entry.anonymous).map(entry => entry.name);
+      const anonymousCount = newEntrants.length - named.length;
+      const names = [...named.slice(0, 15)];
+      if (named.length > 15) names.push(`${named.length - 15} more`);
+      if (anonymousCount > 0) names.push(`${anonymousCount} anonymous member(s)`);
+      content += `🆕 **New on the leaderboard:** ${names.join(', ')}\n`;
+    }
+
+    if (events.length > 0) {
+      content += `📅 **Events this week:**\n`;
+      events.slice(0, 15).forEach(event => {
+        content += `• ${moment(event.day, 'YYYY-MM-DD').format('ddd M/D')} ${event.startTime} – ${event.eventName} (${event.eventType}): ${event.attendance} attended\n`;
+      });
+      if (events.length > 15) content += `…and ${events.length - 15} more\n`;
+    } else {
+      content += '📅 No events were held this week.\n';
+    }
+
+    return { content, entries, newEntrants, events };
+  }
+
+  describeMovement(entry, snapshot) {
+    const previous = snapshot.get(entry.netId);
+    if (!previous) return snapshot.size > 0 ? '🆕' : '';
+    if (previous.rank > entry.rank) return `▲${previous.rank - entry.rank}`;
+    if (previous.rank < entry.rank) return `▼${entry.rank - previous.rank}`;
+    return '–';
+  }
+}
+
+class EventAnnouncer {
+  constructor(storage, client) {
+    this.storage = storage;
+    this.client = client;
+    this.task = null;
+    this.sentKeys = null; // Loaded from the Event Announcements sheet on the first scan
+    this.currentScan = null;
+  }
+
+  isEnabled() {
+    return Boolean(CONFIG.REMINDERS.CHANNEL_ID);
+  }
+
+  /**
+   * Scans the events every minute. Nothing is scheduled per event, so edits and
+   * deletions in the Event Codes sheet are picked up by the next scan.
+   */
+  start() {
+    if (!this.isEnabled()) return;
+
+    this.task = cron.schedule('* * * * *', async () => {
+      try {
+        await this.scan();
+      } catch (error) {
+        // Already logged by scan
+      }
+    }, { timezone: CONFIG.TIMEZONE });
+
+    logger.info('Event announcements scheduled', {
+      options: { reminders: CONFIG.REMINDERS.OFFSETS.map(offset => offset.label), channelId: CONFIG.REMINDERS.CHANNEL_ID }
+    });
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  announcementKey(announcement) {
+    return `${normalizeEventCode(announcement.eventCode)}|${announcement.announcement}|${announcement.scheduledFor}`;
+  }
+
+  /**
+   * Works out which announcements are due. Each reminder and the check-in opening
+   * is due from its time until CONFIG.REMINDERS.GRACE_MINUTES later.
+   * @param {Array} events - Events from getEvents()
+   * @param {moment.Moment} now - Current time
+   * @returns {Array} { event, announcement, scheduledFor (moment), window } not yet sent
+   */
+  getDueAnnouncements(events, now) {
+    const tolerance = CONFIG.ATTENDANCE.TOLERANCE_MINUTES;
+
+    return events.flatMap(event => {
+      const window = getEventWindow(event);
+      if (!window || !event.eventCode) return [];
+
+      return [
+        ...CONFIG.REMINDERS.OFFSETS.map(offset => ({
+          announcement: `reminder ${offset.label}`,
+          scheduledFor: window.start.clone().subtract(offset.minutes, 'minutes')
+        })),
+        { announcement: 'check-in open', scheduledFor: window.start.clone().subtract(tolerance, 'minutes') }
+      ]
+        .filter(due => !now.isBefore(due.scheduledFor) &&
+                       now.diff(due.scheduledFor, 'minutes', true) < CONFIG.REMINDERS.GRACE_MINUTES &&
+                       // A reminder set for after the event started has nothing left to remind about
+                       (due.announcement === 'check-in open' || due.scheduledFor.isBefore(window.start)))
+        .map(due => ({ ...due, event, window }))
+        .filter(due => !this.sentKeys.has(this.announcementKey({
+          eventCode: event.eventCode,
+          announcement: due.announcement,
+          scheduledFor: due.scheduledFor.format('YYYY-MM-DD HH:mm')
+        })));
+    });
+  }
+
+  /**
+   * Posts every announcement that is due. Scans never overlap.
+   * @returns {Promise<number>} How many announcements were posted
+   */
+  async scan() {
+    if (this.currentScan) return this.currentScan;
+
+    this.currentScan = this.runScan().finally(() => {
+      this.currentScan = null;
+    });
+    return this.currentScan;
+  }
+
+  async runScan() {
+    try {
+      if (!this.sentKeys) {
+        this.sentKeys = new Set((await this.storage.getSentAnnouncements()).map(sent => this.announcementKey(sent)));
+      }
+
+      const due = this.getDueAnnouncements(await this.storage.getEvents(), moment.tz(CONFIG.TIMEZONE));
+      if (due.length === 0) return 0;
+
+      const channel = await this.client.channels.fetch(CONFIG.REMINDERS.CHANNEL_ID).catch(() => null);
+      if (!channel) {
+        logger.error('[EVENT ANNOUNCEMENT FAILED] Announcement channel not available', {
+          options: { channelId: CONFIG.REMINDERS.CHANNEL_ID }
+        });
+        return 0;
+      }
+
+      for (const { event, announcement, scheduledFor, window } of due) {
+        const sent = {
+          eventCode: event.eventCode,
+          announcement,
+          scheduledFor: scheduledFor.format('YYYY-MM-DD HH:mm'),
+          sentAt: getCurrentTimestamp()
+        };
+
+        await channel.send({ content: this.formatAnnouncement(event, announcement, window), allowedMentions: { parse: [] } });
+        // Remember it before writing, so a failed write can't cause a repost every minute
+        this.sentKeys.add(this.announcementKey(sent));
+        await this.storage.addSentAnnouncement(sent);
+
+        logger.info('[EVENT ANNOUNCEMENT SUCCESS] Event announcement posted', {
+          options: { eventCode: event.eventCode, eventName: event.eventName, announcement, scheduledFor: sent.scheduledFor }
+        });
+      }
+      return due.length;
+    } catch (error) {
+      logger.error('[EVENT ANNOUNCEMENT FAILED] Event announcement scan failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  formatAnnouncement(event, announcement, window) {
+    // Discord renders <t:...> timestamps in each reader's own time zone
+    const start = window.start.unix();
+
+    if (announcement === 'check-in open') {
+      const closesAt = window.end.clone().add(CONFIG.ATTENDANCE.TOLERANCE_MINUTES, 'minutes').unix();
+      return `✅ Check-in for **${event.eventName}** is now open! It closes <t:${closesAt}:t> (<t:${closesAt}:R>).\n` +
+             'Scan the QR code at the event or use `/check-in` with the code announced there.';
+    }
+
+    return `⏰ **${event.eventName}** (${event.eventType}) starts <t:${start}:R>, <t:${start}:F> until <t:${window.end.unix()}:t>.`;
+  }
+}
+
+// ============================================================================
+// COMMAND HANDLERS
+// ============================================================================
+class CommandHandlers {
+  constructor(storage, attendanceProcessor, roleRewards, achievements, digest) {
+    this.storage = storage;
+    this.attendanceProcessor = attendanceProcessor;
+    this.roleRewards = roleRewards;
+    this.achievements = achievements;
+    this.digest = digest;
+    this.rotatingDisplays = new Map(); // Map of message ID to live rotating code display
+    this.pendingImports = new Map(); // Map of import ID to events awaiting confirmation
+  }
+
+  async handleViewLeaderboard(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.USER;
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      const pageSize = interaction.options.getInteger('page-size') || CONFIG.LEADERBOARD.DEFAULT_PAGE_SIZE;
+      const fromStr = interaction.options.getString('from');
+      const toStr = interaction.options.getString('to');
+      const season = interaction.options.getString('season');
+      
+      // Check permissions (user commands always pass)
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[LEADERBOARD FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'view-leaderboard' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      // Archived seasons are final standings, so they can't be sliced further
+      if (season && (fromStr || toStr || interaction.options.getString('event-type'))) {
+        await interaction.reply({ 
+          content: 'The `season` option cannot be combined with `from`, `to`, or `event-type`.', 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      // Only ended seasons have archived standings
+      const archivedSeason = season
+        ? (await this.storage.getSeasons()).find(existing =>
+            existing.status === SEASON_STATUS.ENDED && existing.name.toLowerCase() === season.trim().toLowerCase())
+        : null;
+
+      if (season && !archivedSeason) {
+        await interaction.reply({ content: `No ended season named "${season}" was found.`, flags: ['Ephemeral'] });
+        return;
+      }
+
+      const eventTypeOption = await this.getEventTypeOption(interaction, 'view-leaderboard', permissionLevel);
+      if (!eventTypeOption) return;
+      const { eventType } = eventTypeOption;
+
+      // Validate the optional date range
+      const filters = { from: fromStr ? parseDate(fromStr) : null, to: toStr ? parseDate(toStr) : null, eventType, season: archivedSeason?.name || null };
+      const invalidDate = (fromStr && !filters.from) ? fromStr : (toStr && !filters.to) ? toStr : null;
+      
+      if (invalidDate || (filters.from && filters.to && filters.from > filters.to)) {
+        logger.warn('[LEADERBOARD FAILED] Invalid date range', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'view-leaderboard' },
+          options: { from: fromStr, to: toStr, eventType, season },
+        });
+        await interaction.reply({ 
+          content: invalidDate
+            ? `Invalid date format: "${invalidDate}". Please use a common format like MM/DD/YY, MM/DD/YYYY, or YYYY-MM-DD.`
+            : `The "from" date (${filters.from}) must not be after the "to" date (${filters.to}).`, 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      // Filtered views are recalculated from the form responses, which can outlast Discord's 3 second window
+      const deferred = hasLeaderboardFilters(filters);
+      if (deferred) await interaction.deferReply();
+      const respond = (payload) => deferred ? interaction.editReply(payload) : interaction.reply(payload);
+
+      const entries = await this.getLeaderboardEntries(filters);
+
+      if (entries.length === 0) {
+        logger.info('[LEADERBOARD EMPTY] No data found', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username, 
+            userDisplayName 
+          },
+          command: { name: 'view-leaderboard' },
+        });
+        await respond(hasLeaderboardFilters(filters)
+          ? `No points were earned ${describeLeaderboardFilters(filters)}.`
+          : 'No leaderboard data available.');
+        return;
+      }
+
+      await respond(this.buildLeaderboardPage(entries, 0, pageSize, { filters }));
+      
+      logger.info('[LEADERBOARD SUCCESS] Leaderboard generated', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username, 
+          userDisplayName 
+        },
+        command: { name: 'view-leaderboard' },
+        options: { pageSize, ...filters },
+        results: { count: entries.length },
+      });
+    } catch (error) {
+      logger.error('Error handling view-leaderboard command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'view-leaderboard' },
+        error: error.message,
+      });
+      const content = 'An error occurred while generating the leaderboard.';
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply(content);
+      }
+    }
+  }
+
+  async handleLeaderboardButton(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.USER;
+    // leaderboard:page:<page>:<pageSize>:<filters> or leaderboard:me:<pageSize>:<filters>
+    const [, action, ...args] = interaction.customId.split(':');
+    const page = action === 'page' ? Number(args.shift()) : 0;
+    const pageSize = Number(args.shift());
+    const filters = decodeLeaderboardFilters(args.join(':'));
+    // Paging edits the shared message; everything else is answered privately
+    const replyPrivately = (payload) => {
+      if (interaction.deferred && action === 'page') return interaction.followUp({ ...payload, flags: ['Ephemeral'] });
+      if (interaction.deferred) return interaction.editReply(payload);
+      return interaction.reply({ ...payload, flags: ['Ephemeral'] });
+    };
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+
+      // Filtered views are recalculated from the form responses, which can outlast Discord's 3 second window
+      if (hasLeaderboardFilters(filters)) {
+        await (action === 'page' ? interaction.deferUpdate() : interaction.deferReply({ flags: ['Ephemeral'] }));
+      }
+
+      const entries = await this.getLeaderboardEntries(filters);
+
+      if (entries.length === 0) {
+        await replyPrivately({ content: 'No leaderboard data available.' });
+        return;
+      }
+
+      if (action === 'page') {
+        const pageMessage = this.buildLeaderboardPage(entries, page, pageSize, { filters });
+        await (interaction.deferred ? interaction.editReply(pageMessage) : interaction.update(pageMessage));
+        return;
+      }
+
+      // "Jump to my position" is personal, so it answers privately instead of moving the shared message
+      const link = await this.storage.getLinkByDiscordId(interaction.user.id);
+      const position = link ? entries.findIndex(entry => entry.netId === link.netId) : -1;
+
+      if (position === -1) {
+        logger.info('[LEADERBOARD POSITION FAILED] Caller not on leaderboard', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'view-leaderboard' },
+          options: { netId: link?.netId },
+        });
+        await replyPrivately({ 
+          content: link
+            ? `NetID \`${link.netId}\` is not on the leaderboard yet.`
+            : 'Your Discord account is not linked to a NetID yet. Use `/link-netid` to request a link.'
+        });
+        return;
+      }
+
+      const { rank, points } = entries[position];
+      const myPage = this.buildLeaderboardPage(entries, Math.floor(position / pageSize), pageSize, { filters, highlightNetId: link.netId });
+      await replyPrivately({ 
+        ...myPage, 
+        content: `You are ranked **#${rank}** with **${points.toLocaleString()}** point(s).\n${myPage.content}`
+      });
+
+      logger.info('[LEADERBOARD POSITION SUCCESS] Caller position shown', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'view-leaderboard' },
+        options: { netId: link.netId, ...filters },
+        results: { rank, points },
+      });
+    } catch (error) {
+      logger.error('Error handling leaderboard button', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'view-leaderboard' },
+        options: { action },
+        error: error.message,
+      });
+      await replyPrivately({ content: 'An error occurred while updating the leaderboard.' });
+    }
+  }
+
+  /**
+   * Ranks every member with valid points (anonymous members keep their place but not their name).
+   * With filters, totals are rebuilt from the attended events that fall inside the slice;
+   * a season shows that season's archived final standings.
+   * @param {Object} [filters] - Optional { from, to, eventType, season }
+   * @returns {Promise<Array>} Array of { netId, name, points, rank }, best first
+   */
+  async getLeaderboardEntries(filters = {}) {
+    if (filters.season) {
+      const standings = await this.storage.getSeasonArchive(filters.season);
+
+      return rankByPoints(standings
+        .filter(standing => !isNaN(standing.points))
+        .map(standing => ({
+          netId: standing.netId.trim().toLowerCase(),
+          name: getDisplayName(standing),
+          points: standing.points
+        })));
+    }
+
+    if (hasLeaderboardFilters(filters)) {
+      const { members } = await this.attendanceProcessor.calculateMembers();
+
+      // An explicit date range may reach into past seasons; otherwise stay within the current one
+      const hasDateRange = Boolean(filters.from || filters.to);
+
+      return rankByPoints([...members]
+        .map(([netId, member]) => ({
+          netId,
+          name: getDisplayName(member),
+          points: member.attended
+            .filter(event => (hasDateRange || event.counted) && matchesLeaderboardFilters(event, filters))
+            .reduce((total, event) => total + event.points, 0) +
+            // Adjustments have no event type, so they only count toward date slices
+            (filters.eventType ? 0 : member.adjustments
+              .filter(adjustment => (hasDateRange || adjustment.counted) && matchesLeaderboardFilters(adjustment, filters))
+              .reduce((total, adjustment) => total + adjustment.amount, 0))
+        }))
+        .filter(entry => entry.points > 0));
+    }
+
+    return rankMemberRecords(await this.storage.getMemberRecords());
+  }
+
+  buildLeaderboardPage(entries, page, pageSize, { filters = {}, highlightNetId = null } = {}) {
+    const pageCount = Math.max(1, Math.ceil(entries.length / pageSize));
+    const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+    const pageEntries = entries.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+    const encodedFilters = encodeLeaderboardFilters(filters);
+
+    let leaderboardText = '```\n🏆 LEADERBOARD 🏆\n';
+    if (hasLeaderboardFilters(filters)) {
+      leaderboardText += `Points earned ${describeLeaderboardFilters(filters)}\n`;
+    }
+    leaderboardText += '\n';
+    leaderboardText += 'Rank | Name                    | Points\n';
+    leaderboardText += '-----|-------------------------|----------\n';
+    
+    pageEntries.forEach(entry => {
+      const marker = entry.netId === highlightNetId ? '»' : ' ';
+      const rank = entry.rank.toString().padStart(3, ' ');
+      const name = entry.name.padEnd(23, ' ').substring(0, 23);
+      const points = Number(entry.points).toLocaleString().padStart(8, ' ');
+      leaderboardText += `${marker}${rank} | ${name} | ${points}\n`;
+    });
+    
+    leaderboardText += `\nPage ${currentPage + 1} of ${pageCount} · ${entries.length} members\n`;
+    leaderboardText += '```';
+
+    const buttons = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`leaderboard:page:${currentPage - 1}:${pageSize}:${encodedFilters}`)
+        .setLabel('Previous')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(currentPage === 0),
+      new ButtonBuilder()
+        .setCustomId(`leaderboard:page:${currentPage + 1}:${pageSize}:${encodedFilters}`)
+        .setLabel('Next')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(currentPage >= pageCount - 1),
+      new ButtonBuilder()
+        .setCustomId(`leaderboard:me:${pageSize}:${encodedFilters}`)
+        .setLabel('Jump to my position')
+        .setStyle(ButtonStyle.Primary)
+    );
+
+    return { content: leaderboardText, components: [buttons] };
+  }
+
+  async handleMyPoints(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.USER;
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      
+      // Check permissions (user commands always pass)
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[MY POINTS FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'my-points' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      const link = await this.storage.getLinkByDiscordId(interaction.user.id);
+      
+      if (!link) {
+        logger.info('[MY POINTS FAILED] Discord account not linked', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'my-points' },
+        });
+        await interaction.reply({ 
+          content: 'Your Discord account is not linked to a NetID yet. Use `/link-netid` to request a link.', 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      await interaction.deferReply({ flags: ['Ephemeral'] });
+
+      const { members } = await this.attendanceProcessor.calculateMembers();
+      const member = members.get(link.netId);
+
+      if (!member) {
+        logger.info('[MY POINTS EMPTY] No attendance found', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'my-points' },
+          options: { netId: link.netId },
+        });
+        await interaction.editReply({ content: `No attendance has been recorded for NetID \`${link.netId}\` yet.` });
+        return;
+      }
+
+      const ranked = rankByPoints([...members].map(([netId, { points }]) => ({ netId, points })));
+      const { rank } = ranked.find(entry => entry.netId === link.netId);
+      const tiedCount = ranked.filter(entry => entry.rank === rank).length;
+      
+      // The next rank up is held by the lowest total that is still above ours
+      const higherTotals = ranked.filter(entry => entry.points > member.points).map(entry => entry.points);
+      const nextRankText = higherTotals.length > 0
+        ? `⬆️ ${Math.min(...higherTotals) - member.points} more point(s) to reach the next rank`
+        : '🥇 You are in first place!';
+
+      // Manual adjustments are listed alongside events, with their reason in place of an event name
+      const attended = [
+        ...member.attended.filter(event => event.counted),
+        ...member.adjustments
+          .filter(adjustment => adjustment.counted)
+          .map(adjustment => ({ ...adjustment, eventName: adjustment.reason, eventType: 'Adjustment', points: adjustment.amount, isAdjustment: true }))
+      ].sort((a, b) => (parseTimestamp(b.timestamp)?.valueOf() || 0) - (parseTimestamp(a.timestamp)?.valueOf() || 0));
+      const maxListed = 20;
+
+      let content = `🏅 **Your Points** (NetID \`${link.netId}\`)\n` +
+                    `⭐ Total: ${member.points.toLocaleString()} point(s)\n` +
+                    `🏆 Rank: ${rank} of ${ranked.length}${tiedCount > 1 ? ` (tied with ${tiedCount - 1} other member(s))` : ''}\n` +
+                    `${nextRankText}\n\n`;
+
+      if (attended.length === 0) {
+        content += 'No events have counted toward your points yet.';
+      } else {
+        content += '```\n';
+        content += 'Date       | Event Name           | Type                  | Points\n';
+        content += '-----------|----------------------|-----------------------|-------\n';
+        attended.slice(0, maxListed).forEach(event => {
+          const date = event.date.padEnd(10, ' ').substring(0, 10);
+          const name = event.eventName.padEnd(20, ' ').substring(0, 20);
+          const type = event.eventType.padEnd(21, ' ').substring(0, 21);
+          const points = `${event.isAdjustment && event.points > 0 ? '+' : ''}${event.points}`.padStart(6, ' ');
+          content += `${date} | ${name} | ${type} | ${points}\n`;
+        });
+        content += '```';
+        if (attended.length > maxListed) {
+          content += `…and ${attended.length - maxListed} earlier entries.`;
+        }
+      }
+
+      await interaction.editReply({ content });
+      
+      logger.info('[MY POINTS SUCCESS] Member points displayed', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'my-points' },
+        options: { netId: link.netId },
+        results: { points: member.points, rank, events: attended.length }
+      });
+      
+    } catch (error) {
+      logger.error('Error handling my-points command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'my-points' },
+        error: error.message,
+      });
+      const content = 'An error occurred while retrieving your points.';
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+      }
+    }
+  }
+
+  async handleBadges(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.USER;
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      
+      // Check permissions (user commands always pass)
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[BADGES FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'badges' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      const link = await this.storage.getLinkByDiscordId(interaction.user.id);
+      
+      if (!link) {
+        await interaction.reply({ 
+          content: 'Your Discord account is not linked to a NetID yet. Use `/link-netid` to request a link.', 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      const badges = await this.storage.getBadgeRules();
+      if (badges.length === 0) {
+        await interaction.reply({ content: 'No badges have been set up yet.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      await interaction.deferReply({ flags: ['Ephemeral'] });
+
+      const { members } = await this.attendanceProcessor.calculateMembers();
+      const stats = this.achievements.buildStats(members, await this.storage.getPointTypes()).get(link.netId) || {
+        eventsAttended: 0, longestStreak: 0, currentStreak: 0, typesAttended: 0, typeCount: 0, rank: null, points: 0
+      };
+      const earned = new Map((await this.storage.getMemberBadges())
+        .filter(memberBadge => memberBadge.netId === link.netId)
+        .map(memberBadge => [memberBadge.badge.toLowerCase(), memberBadge]));
+
+      const earnedLines = [];
+      const lockedLines = [];
+      badges.forEach(badge => {
+        const description = badge.description ? ` – ${badge.description}` : '';
+        const record = earned.get(badge.name.toLowerCase());
+        const result = evaluateBadge(badge, stats);
+
+        if (record) {
+          const earnedOn = parseTimestamp(record.earnedAt)?.format('YYYY-MM-DD') || record.earnedAt;
+          earnedLines.push(`🏅 **${badge.name}**${description} · earned ${earnedOn}`);
+        } else if (result?.earned) {
+          // Recorded and announced at the next points update
+          earnedLines.push(`🏅 **${badge.name}**${description} · just earned`);
+        } else if (result) {
+          lockedLines.push(`🔒 **${badge.name}**${description} · ${result.progress}`);
+        }
+      });
+
+      let content = `🎖️ **Your Badges** (NetID \`${link.netId}\`)\n` +
+                    `🔥 Weekly streak: ${stats.currentStreak} week(s) (best: ${stats.longestStreak})\n\n`;
+      content += earnedLines.length > 0 ? `**Earned (${earnedLines.length})**\n${earnedLines.join('\n')}\n\n` : 'No badges earned yet.\n\n';
+      if (lockedLines.length > 0) {
+        content += `**Not yet earned**\n${lockedLines.join('\n')}`;
+      }
+
+      await interaction.editReply({ content: content.substring(0, 1900) });
+      
+      logger.info('[BADGES SUCCESS] Member badges displayed', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'badges' },
+        options: { netId: link.netId },
+        results: { earned: earnedLines.length, locked: lockedLines.length }
+      });
+      
+    } catch (error) {
+      logger.error('Error handling badges command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'badges' },
+        error: error.message,
+      });
+      const content = 'An error occurred while retrieving your badges.';
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+      }
+    }
+  }
+
+  async handleCheckIn(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.USER;
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      const eventCode = (interaction.options.getString('code') || '').trim();
+      const timestamp = getCurrentTimestamp();
+      
+      // Check permissions (user commands always pass)
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[CHECK IN FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'check-in' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      const link = await this.storage.getLinkByDiscordId(interaction.user.id);
+      
+      if (!link) {
+        logger.info('[CHECK IN FAILED] Discord account not linked', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'check-in' },
+          options: { eventCode },
+        });
+        await interaction.reply({ 
+          content: 'Your Discord account is not linked to a NetID yet. Use `/link-netid` to request a link before checking in.', 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      await interaction.deferReply({ flags: ['Ephemeral'] });
+
+      const { status, event, points } = await this.attendanceProcessor.evaluateCheckIn(link.netId, eventCode, timestamp);
+      const window = event ? getEventWindow(event) : null;
+      const tolerance = CONFIG.ATTENDANCE.TOLERANCE_MINUTES;
+      let content;
+
+      switch (status) {
+        case SUBMISSION_STATUS.ACCEPTED:
+          await this.storage.addDiscordCheckIn({
+            timestamp,
+            discordId: interaction.user.id,
+            netId: link.netId,
+            eventCode
+          });
+          content = `✅ You're checked in to **${event.eventName}**! ` +
+                    `${points} point(s) will be added at the next points update.`;
+          break;
+        case SUBMISSION_STATUS.DUPLICATE:
+          content = `☑️ You have already checked in to **${event.eventName}**.`;
+          break;
+        case SUBMISSION_STATUS.TOO_EARLY:
+          content = `⏳ Check-in for **${event.eventName}** opens at ` +
+                    `${window.start.clone().subtract(tolerance, 'minutes').format('h:mm A')}.`;
+          break;
+        case SUBMISSION_STATUS.TOO_LATE:
+          content = `⌛ Check-in for **${event.eventName}** closed at ` +
+                    `${window.end.clone().add(tolerance, 'minutes').format('h:mm A')}.`;
+          break;
+        case SUBMISSION_STATUS.WRONG_DATE:
+          content = `📅 **${event.eventName}** takes place on ${event.date}, so you can only check in that day.`;
+          break;
+        case SUBMISSION_STATUS.INVALID_EVENT:
+          content = `⚠️ **${event.eventName}** has an invalid date or time on file. Please let a staff member know.`;
+          break;
+        default:
+          content = `❌ "${eventCode}" is not a valid event code. Please check the code and try again.`;
+      }
+
+      await interaction.editReply({ content });
+      
+      const logMeta = {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'check-in' },
+        options: { eventCode, netId: link.netId, timestamp },
+        results: { status },
+      };
+      if (status === SUBMISSION_STATUS.ACCEPTED) {
+        logger.info('[CHECK IN SUCCESS] Check-in recorded', logMeta);
+      } else {
+        logger.warn('[CHECK IN FAILED] Check-in rejected', logMeta);
+      }
+      
+    } catch (error) {
+      logger.error('Error handling check-in command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'check-in' },
+        error: error.message,
+      });
+      const content = 'An error occurred while checking you in.';
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+      }
+    }
+  }
+
+  async handleLinkNetId(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.USER;
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      const netIdInput = interaction.options.getString('netid');
+      
+      // Check permissions (user commands always pass)
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[LINK NETID FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'link-netid' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      const netId = normalizeNetId(netIdInput);
+      if (!netId) {
+        logger.warn('[LINK NETID FAILED] Invalid NetID', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'link-netid' },
+          options: { netId: netIdInput },
+        });
+        await interaction.reply({ 
+          content: `"${netIdInput}" is not a valid NetID. Use the part of your school email before the @.`, 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      const links = await this.storage.getDiscordLinks();
+      const existingLink = links.find(link => link.discordId === interaction.user.id);
+      const claimedLink = links.find(link => link.netId === netId);
+
+      if (existingLink || claimedLink) {
+        const content = existingLink
+          ? `Your Discord account is already linked to NetID \`${existingLink.netId}\`. Ask a staff member if this needs to change.`
+          : `NetID \`${netId}\` is already linked to another Discord account. Ask a staff member if this is a mistake.`;
+        logger.warn('[LINK NETID FAILED] Link already exists', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'link-netid' },
+          options: { netId },
+          before: existingLink || claimedLink,
+        });
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+        return;
+      }
+
+      const reviewChannel = CONFIG.DISCORD.LINK_REVIEW_CHANNEL_ID
+        ? await interaction.client.channels.fetch(CONFIG.DISCORD.LINK_REVIEW_CHANNEL_ID).catch(() => null)
+        : null;
+
+      if (!reviewChannel) {
+        logger.error('[LINK NETID FAILED] Review channel not available', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'link-netid' },
+          options: { netId, channelId: CONFIG.DISCORD.LINK_REVIEW_CHANNEL_ID },
+        });
+        await interaction.reply({ 
+          content: 'NetID linking is not set up yet. Please contact an administrator.', 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      // Let reviewers see whether the NetID already has points on record
+      const records = await this.storage.getMemberRecords();
+      const record = records.find(r => r.netId.trim().toLowerCase() === netId);
+      const recordText = record
+        ? `found (${`${record.firstName} ${record.lastName}`.trim() || 'no name'}, ${isNaN(record.points) ? 0 : record.points} points)`
+        : 'not found (no attendance yet)';
+
+      // The button IDs carry the whole request so reviews survive a bot restart
+      const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`link-netid:approve:${interaction.user.id}:${netId}`)
+          .setLabel('Approve')
+          .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+          .setCustomId(`link-netid:reject:${interaction.user.id}:${netId}`)
+          .setLabel('Reject')
+          .setStyle(ButtonStyle.Danger)
+      );
+
+      await reviewChannel.send({
+        content: `🔗 **NetID Link Request**\n` +
+                 `👤 Member: <@${interaction.user.id}> (${interaction.user.username})\n` +
+                 `🆔 NetID: \`${netId}\`\n` +
+                 `📋 Points Record: ${recordText}`,
+        components: [buttons],
+        allowedMentions: { parse: [] }
+      });
+
+      await interaction.reply({ 
+        content: `📨 Your request to link NetID \`${netId}\` has been sent to staff for approval.`, 
+        flags: ['Ephemeral'] 
+      });
+      
+      logger.info('[LINK NETID SUCCESS] Link request submitted', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'link-netid' },
+        options: { netId },
+      });
+      
+    } catch (error) {
+      logger.error('Error handling link-netid command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'link-netid' },
+        error: error.message,
+      });
+      await interaction.reply({ content: 'An error occurred while submitting your link request.', flags: ['Ephemeral'] });
+    }
+  }
+
+  async handleLinkReviewButton(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+    const [, action, discordId, netId] = interaction.customId.split(':');
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[LINK REVIEW FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'link-netid' },
+          options: { action, netId },
+        });
+        await interaction.reply({ content: 'You do not have permission to review link requests.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      // Fetching the member and rewriting the links sheet can outlast Discord's 3 second window
+      await interaction.deferUpdate();
+
+      const member = await interaction.guild.members.fetch(discordId).catch(() => null);
+      const memberName = member?.user?.username || discordId;
+      let outcome;
+
+      if (action === 'approve') {
+        const link = {
+          discordId,
+          discordUsername: memberName,
+          netId,
+          linkedAt: getCurrentTimestamp(),
+          linkedBy: userDisplayName
+        };
+
+        // Checked against the sheet as it is written, so a double-click or two reviewers
+        // approving the same NetID can't both add a link
+        let existingLink = null;
+        await this.storage.updateDiscordLinks(links => {
+          existingLink = links.find(existing => existing.discordId === discordId || existing.netId === netId) || null;
+          return existingLink ? links : [...links, link];
+        });
+
+        if (existingLink) {
+          logger.warn('[LINK REVIEW FAILED] Link already exists', {
+            permissionLevel,
+            executor: { 
+              discord_id: interaction.user.id, 
+              username: interaction.user.username,
+              userDisplayName 
+            },
+            target: { name: memberName, discord_id: discordId },
+            command: { name: 'link-netid' },
+            options: { action, netId },
+            before: existingLink,
+          });
+          await interaction.followUp({ 
+            content: `Cannot approve: NetID \`${existingLink.netId}\` is already linked to <@${existingLink.discordId}>. Use \`/netid-links reassign\` instead.`, 
+            flags: ['Ephemeral'],
+            allowedMentions: { parse: [] }
+          });
+          return;
+        }
+
+        outcome = `✅ Approved by ${userDisplayName}`;
+
+        logger.info('[LINK REVIEW SUCCESS] Link approved', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          target: { name: memberName, discord_id: discordId },
+          command: { name: 'link-netid' },
+          options: { action, netId },
+          before: { discordId, netId: null },
+          after: link,
+        });
+      } else {
+        outcome = `❌ Rejected by ${userDisplayName}`;
+
+        logger.info('[LINK REVIEW SUCCESS] Link rejected', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          target: { name: memberName, discord_id: discordId },
+          command: { name: 'link-netid' },
+          options: { action, netId },
+        });
+      }
+
+      await interaction.editReply({ 
+        content: `${interaction.message.content}\n\n${outcome}`, 
+        components: [],
+        allowedMentions: { parse: [] }
+      });
+
+      // Let the member know; they may have DMs from server members disabled
+      await member?.send(action === 'approve'
+        ? `✅ Your Discord account is now linked to NetID \`${netId}\`.`
+        : `❌ Your request to link NetID \`${netId}\` was rejected. Please contact a staff member if you think this is a mistake.`
+      ).catch(() => null);
+      
+    } catch (error) {
+      logger.error('Error handling link review button', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'link-netid' },
+        options: { action, netId },
+        error: error.message,
+      });
+      const content = getStorageErrorMessage(error, 'An error occurred while reviewing the link request.');
+      if (interaction.deferred || interaction.replied) {
+        await interaction.followUp({ content, flags: ['Ephemeral'] });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+      }
+    }
+  }
+
+  async handleNetIdLinks(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+    
+    try {
+      const subcommand = interaction.options.getSubcommand();
+      const userDisplayName = getExecutorUsername(interaction);
+      
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[NETID LINKS FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'netid-links' },
+          options: { subcommand },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      switch (subcommand) {
+        case 'list':
+          await this.handleNetIdLinksList(interaction, userDisplayName, permissionLevel);
+          break;
+        case 'revoke':
+          await this.handleNetIdLinksRevoke(interaction, userDisplayName, permissionLevel);
+          break;
+        case 'reassign':
+          await this.handleNetIdLinksReassign(interaction, userDisplayName, permissionLevel);
+          break;
+      }
+    } catch (error) {
+      logger.error('Error handling netid-links command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'netid-links' },
+        error: error.message,
+      });
+      await interaction.reply({ 
+        content: getStorageErrorMessage(error, 'An error occurred while managing NetID links.'), 
+        flags: ['Ephemeral'] 
+      });
+    }
+  }
+
+  async handleNetIdLinksList(interaction, userDisplayName, permissionLevel) {
+    const links = await this.storage.getDiscordLinks();
+
+    if (links.length === 0) {
+      await interaction.reply({ content: 'No Discord accounts are linked yet.', flags: ['Ephemeral'] });
+      return;
+    }
+
+    let linksText = '```\n🔗 NETID LINKS\n\n';
+    linksText += 'NetID        | Discord Username     | Linked At           | Linked By\n';
+    linksText += '-------------|----------------------|---------------------|----------------\n';
+
+    const lines = links.map(link => {
+      const netId = link.netId.padEnd(12, ' ').substring(0, 12);
+      const username = link.discordUsername.padEnd(20, ' ').substring(0, 20);
+      const linkedAt = link.linkedAt.padEnd(19, ' ').substring(0, 19);
+      const linkedBy = link.linkedBy.substring(0, 16);
+      return `${netId} | ${username} | ${linkedAt} | ${linkedBy}\n`;
+    });
+
+    // Stay under Discord's 2000 character message limit
+    let shown = 0;
+    for (const line of lines) {
+      if (linksText.length + line.length > 1900) break;
+      linksText += line;
+      shown++;
+    }
+    linksText += '```';
+    if (shown < lines.length) {
+      linksText += `…and ${lines.length - shown} more.`;
+    }
+
+    await interaction.reply({ content: linksText, flags: ['Ephemeral'] });
+
+    logger.info('[NETID LINKS LIST SUCCESS] Links listed', {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username,
+        userDisplayName 
+      },
+      command: { name: 'netid-links' },
+      options: { subcommand: 'list' },
+      results: { count: links.length },
+    });
+  }
+
+  async handleNetIdLinksRevoke(interaction, userDisplayName, permissionLevel) {
+    const user = interaction.options.getUser('user');
+    const links = await this.storage.getDiscordLinks();
+    const existingLink = links.find(link => link.discordId === user.id);
+
+    if (!existingLink) {
+      logger.warn('[NETID LINKS REVOKE FAILED] Account not linked', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        target: { name: user.username, discord_id: user.id },
+        command: { name: 'netid-links' },
+        options: { subcommand: 'revoke' },
+      });
+      await interaction.reply({ content: `<@${user.id}> is not linked to a NetID.`, flags: ['Ephemeral'], allowedMentions: { parse: [] } });
+      return;
+    }
+
+    await this.storage.updateDiscordLinks(current => current.filter(link => link.discordId !== user.id));
+
+    logger.info('[NETID LINKS REVOKE SUCCESS] Link revoked', {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username,
+        userDisplayName 
+      },
+      target: { name: user.username, discord_id: user.id },
+      command: { name: 'netid-links' },
+      options: { subcommand: 'revoke' },
+      before: existingLink,
+      after: { discordId: user.id, netId: null },
+    });
+
+    await interaction.reply({ 
+      content: `🗑️ Unlinked <@${user.id}> from NetID \`${existingLink.netId}\`.`, 
+      flags: ['Ephemeral'],
+      allowedMentions: { parse: [] }
+    });
+  }
+
+  async handleNetIdLinksReassign(interaction, userDisplayName, permissionLevel) {
+    const netIdInput = interaction.options.getString('netid');
+    const user = interaction.options.getUser('user');
+    const netId = normalizeNetId(netIdInput);
+
+    if (!netId) {
+      await interaction.reply({ content: `"${netIdInput}" is not a valid NetID.`, flags: ['Ephemeral'] });
+      return;
+    }
+
+    const link = {
+      discordId: user.id,
+      discordUsername: user.username,
+      netId,
+      linkedAt: getCurrentTimestamp(),
+      linkedBy: userDisplayName
+    };
+
+    // A NetID and a Discord account can each only appear in one link
+    let replaced = [];
+    await this.storage.updateDiscordLinks(links => {
+      replaced = links.filter(existing => existing.netId === netId || existing.discordId === user.id);
+      return [...links.filter(existing => !replaced.includes(existing)), link];
+    });
+
+    logger.info('[NETID LINKS REASSIGN SUCCESS] Link reassigned', {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username,
+        userDisplayName 
+      },
+      target: { name: user.username, discord_id: user.id },
+      command: { name: 'netid-links' },
+      options: { subcommand: 'reassign', netId },
+      before: replaced,
+      after: link,
+    });
+
+    const replacedText = replaced.length > 0
+      ? `\nReplaced: ${replaced.map(existing => `<@${existing.discordId}> → \`${existing.netId}\``).join(', ')}`
+      : '';
+    await interaction.reply({ 
+      content: `🔗 NetID \`${netId}\` is now linked to <@${user.id}>.${replacedText}`, 
+      flags: ['Ephemeral'],
+      allowedMentions: { parse: [] }
+    });
+  }
+
+  async handleMembershipLogs(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.ADMIN;
+    
+    try {
+      const action = interaction.options.getString('action');
+      const lines = interaction.options.getInteger('lines') || 10;
+      const date = interaction.options.getString('date') || moment().format('YYYY-MM-DD');
+      const userDisplayName = getExecutorUsername(interaction);
+
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[LOGS FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username, 
+            userDisplayName 
+          },
+          command: { name: 'membership-logs' },
+          options: { action, lines, date },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      const logFilePath = path.resolve(__dirname, `logs/bot-${date}.log`);
+
+      switch (action) {
+        case 'view':
+          await this.handleLogView(interaction, logFilePath, lines, date, userDisplayName, permissionLevel);
+          break;
+        case 'download':
+          await this.handleLogDownload(interaction, logFilePath, date, userDisplayName, permissionLevel);
+          break;
+      }
+    } catch (error) {
+      logger.error('Error handling membership-logs command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'membership-logs' },
+        error: error.message,
+      });
+      await interaction.reply({ content: 'An error occurred while processing your logs command.', flags: ['Ephemeral'] });
+    }
+  }
+
+  async handleLogView(interaction, logFilePath, lines, date, userDisplayName, permissionLevel) {
+    if (!fs.existsSync(logFilePath)) {
+      logger.warn('[LOGS VIEW FAILED] File not found', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username, 
+          userDisplayName 
+        },
+        command: { name: 'membership-logs' },
+        options: { action: 'view', lines, date },
+      });
+      await interaction.reply({ content: `No log file found for the specified date: ${date}.`, flags: ['Ephemeral'] });
+      return;
+    }
+
+    const logData = fs.readFileSync(logFilePath, 'utf8').split('\n').slice(-lines).join('\n');
+    const content = `\`\`\`log\n${logData}\n\`\`\``;
+
+    if (content.length > 2000) {
+      await interaction.reply({ content: 'Log data is too large to display. Use the "Download" option.', flags: ['Ephemeral'] });
+    } else {
+      await interaction.reply({ content, flags: ['Ephemeral'] });
+    }
+
+    logger.info('[LOGS VIEW SUCCESS] Logs viewed', {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username, 
+        userDisplayName 
+      },
+      command: { name: 'membership-logs' },
+      options: { action: 'view', lines, date },
+    });
+  }
+
+  async handleLogDownload(interaction, logFilePath, date, userDisplayName, permissionLevel) {
+    if (!fs.existsSync(logFilePath)) {
+      logger.warn('[LOGS DOWNLOAD FAILED] File not found', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username, 
+          userDisplayName 
+        },
+        command: { name: 'membership-logs' },
+        options: { action: 'download', date },
+      });
+      await interaction.reply({ content: `No log file found for the specified date: ${date}.`, flags: ['Ephemeral'] });
+      return;
+    }
+
+    await interaction.reply({ content: `Here are the logs for ${date}:`, files: [logFilePath], flags: ['Ephemeral'] });
+
+    logger.info('[LOGS DOWNLOAD SUCCESS] Logs downloaded', {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username, 
+        userDisplayName 
+      },
+      command: { name: 'membership-logs' },
+      options: { action: 'download', date },
+    });
+  }
+
+  async handleAddEvent(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[ADD EVENT FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'add-event' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      // Get all command options
+      const eventName = interaction.options.getString('event-name');
+      const dateStr = interaction.options.getString('date');
+      const startTimeStr = interaction.options.getString('start-time');
+      const endTimeStr = interaction.options.getString('end-time');
+      const eventTypeOption = await this.getEventTypeOption(interaction, 'add-event', permissionLevel);
+      if (!eventTypeOption) return;
+      const { eventType } = eventTypeOption;
+      const eventCodeInput = interaction.options.getString('event-code')?.trim();
+      const rotationSeconds = interaction.options.getInteger('rotating-code-seconds');
+
+      // Validate date format
+      const parsedDate = parseDate(dateStr);
+      if (!parsedDate) {
+        logger.warn('[ADD EVENT FAILED] Invalid date format', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'add-event' },
+          options: { eventName, date: dateStr, eventType, eventCode: eventCodeInput }
+        });
+        await interaction.reply({ 
+          content: `Invalid date format: "${dateStr}". Please use a common format like MM/DD/YY, MM/DD/YYYY, or YYYY-MM-DD.`, 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      // Validate time formats
+      const parsedStartTime = parseTime(startTimeStr);
+      if (!parsedStartTime) {
+        logger.warn('[ADD EVENT FAILED] Invalid start time format', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'add-event' },
+          options: { eventName, date: parsedDate, startTime: startTimeStr, eventType, eventCode: eventCodeInput }
+        });
+        await interaction.reply({ 
+          content: `Invalid start time format: "${startTimeStr}". Please use a common format like 3pm, 3:30pm, or 15:30.`, 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      const parsedEndTime = parseTime(endTimeStr);
+      if (!parsedEndTime) {
+        logger.warn('[ADD EVENT FAILED] Invalid end time format', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'add-event' },
+          options: { eventName, date: parsedDate, startTime: parsedStartTime, endTime: endTimeStr, eventType, eventCode: eventCodeInput }
+        });
+        await interaction.reply({ 
+          content: `Invalid end time format: "${endTimeStr}". Please use a common format like 5pm, 5:30pm, or 17:30.`, 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      // Validate that start time is before end time
+      if (!isTimeAfter(parsedStartTime, parsedEndTime)) {
+        logger.warn('[ADD EVENT FAILED] End time must be after start time', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'add-event' },
+          options: { eventName, date: parsedDate, startTime: parsedStartTime, endTime: parsedEndTime, eventType, eventCode: eventCodeInput }
+        });
+        await interaction.reply({ 
+          content: `End time (${parsedEndTime}) must be after start time (${parsedStartTime}).`, 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      // Reject codes that collide with another event, ignoring case and whitespace. The check
+      // runs against the sheet as it is when the event is appended, not an earlier read.
+      let conflictingEvent = null;
+      let eventCode = eventCodeInput;
+      await this.storage.addEvents(events => {
+        conflictingEvent = eventCodeInput ? findEventCodeConflict(events, eventCodeInput) : null;
+        if (conflictingEvent) return [];
+
+        eventCode = eventCodeInput || generateEventCode(events);
+        return [{
+          date: parsedDate,
+          startTime: parsedStartTime,
+          endTime: parsedEndTime,
+          eventName,
+          eventType,
+          eventCode,
+          rotationSecret: rotationSeconds ? generateRotationSecret() : '',
+          rotationSeconds
+        }];
+      });
+
+      if (conflictingEvent) {
+        logger.warn('[ADD EVENT FAILED] Duplicate event code', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'add-event' },
+          options: { eventName, date: parsedDate, eventType, eventCode: eventCodeInput },
+          before: conflictingEvent
+        });
+        await interaction.reply({ 
+          content: `${describeEventCodeConflict(eventCodeInput, conflictingEvent)} Choose a different code or leave it blank to generate one.`, 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      logger.info('[ADD EVENT SUCCESS] Event added successfully', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'add-event' },
+        options: { 
+          eventName, 
+          date: parsedDate, 
+          startTime: parsedStartTime, 
+          endTime: parsedEndTime, 
+          eventType, 
+          eventCode,
+          rotationSeconds
+        }
+      });
+
+      await interaction.reply({ 
+        content: `✅ Event "${eventName}" added successfully!\n` +
+                 `📅 Date: ${parsedDate}\n` +
+                 `🕐 Time: ${parsedStartTime} - ${parsedEndTime}\n` +
+                 `📋 Type: ${eventType}\n` +
+                 `🔑 Code: ${eventCode}${eventCodeInput ? '' : ' (generated)'}` +
+                 (rotationSeconds
+                   ? `\n🔄 Rotating code: changes every ${rotationSeconds}s, show it with \`/show-rotating-code\``
+                   : ''),
+        flags: ['Ephemeral']
+      });
+      
+    } catch (error) {
+      logger.error('Error handling add-event command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'add-event' },
+        error: error.message,
+      });
+      await interaction.reply({ content: 'An error occurred while adding the event.', flags: ['Ephemeral'] });
+    }
+  }
+
+  async handleAddEventSeries(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[ADD EVENT SERIES FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'add-event-series' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      const eventName = interaction.options.getString('event-name');
+      const startDateStr = interaction.options.getString('start-date');
+      const startTimeStr = interaction.options.getString('start-time');
+      const endTimeStr = interaction.options.getString('end-time');
+      const eventTypeOption = await this.getEventTypeOption(interaction, 'add-event-series', permissionLevel);
+      if (!eventTypeOption) return;
+      const { eventType } = eventTypeOption;
+      const recurrence = interaction.options.getString('recurrence');
+      const weekdaysStr = interaction.options.getString('weekdays');
+      const count = interaction.options.getInteger('count');
+      const endDateStr = interaction.options.getString('end-date');
+      const skipDatesStr = interaction.options.getString('skip-dates');
+      const rotationSeconds = interaction.options.getInteger('rotating-code-seconds');
+
+      const startDate = parseDate(startDateStr);
+      const endDate = endDateStr ? parseDate(endDateStr) : null;
+      const startTime = parseTime(startTimeStr);
+      const endTime = parseTime(endTimeStr);
+      const weekdays = recurrence === RECURRENCES.CUSTOM ? parseWeekdays(weekdaysStr) : null;
+      const skipInputs = (skipDatesStr || '').split(',').map(value => value.trim()).filter(Boolean);
+      const skipDates = skipInputs.map(value => parseDate(value));
+      const invalidSkipDate = skipInputs.find((value, index) => !skipDates[index]);
+
+      let problem = null;
+      if (!startDate) {
+        problem = `Invalid start date format: "${startDateStr}". Please use a common format like MM/DD/YY, MM/DD/YYYY, or YYYY-MM-DD.`;
+      } else if (endDateStr && !endDate) {
+        problem = `Invalid end date format: "${endDateStr}". Please use a common format like MM/DD/YY, MM/DD/YYYY, or YYYY-MM-DD.`;
+      } else if (invalidSkipDate) {
+        problem = `Invalid skip date: "${invalidSkipDate}". Separate dates with commas, e.g. 11/26/26, 12/24/26.`;
+      } else if (!startTime) {
+        problem = `Invalid start time format: "${startTimeStr}". Please use a common format like 3pm, 3:30pm, or 15:30.`;
+      } else if (!endTime) {
+        problem = `Invalid end time format: "${endTimeStr}". Please use a common format like 5pm, 5:30pm, or 17:30.`;
+      } else if (!isTimeAfter(startTime, endTime)) {
+        problem = `End time (${endTime}) must be after start time (${startTime}).`;
+      } else if (recurrence === RECURRENCES.CUSTOM && !weekdays) {
+        problem = 'Custom recurrence needs `weekdays`, e.g. "Mon, Wed".';
+      } else if (Boolean(count) === Boolean(endDate)) {
+        problem = 'Set exactly one of `count` or `end-date`.';
+      } else if (endDate && endDate < startDate) {
+        problem = `The end date (${endDate}) must not be before the start date (${startDate}).`;
+      }
+
+      const dates = problem ? [] : buildSeriesDates({ startDate, recurrence, weekdays, count, endDate, skipDates });
+      if (!problem && dates.length === 0) {
+        problem = 'No dates match that recurrence.';
+      } else if (!problem && dates.length > CONFIG.SERIES.MAX_OCCURRENCES) {
+        problem = `A series can have at most ${CONFIG.SERIES.MAX_OCCURRENCES} events. Use an earlier end date or a smaller count.`;
+      }
+
+      if (problem) {
+        logger.warn('[ADD EVENT SERIES FAILED] Invalid series details', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'add-event-series' },
+          options: { eventName, startDate: startDateStr, recurrence, weekdays: weekdaysStr, count, endDate: endDateStr, skipDates: skipDatesStr },
+          reason: problem,
+        });
+        await interaction.reply({ content: problem, flags: ['Ephemeral'] });
+        return;
+      }
+
+      // Every occurrence gets its own code so attendance can't be matched to the wrong week
+      const seriesId = generateSeriesId();
+      const events = await this.storage.addEvents(existingEvents => {
+        const series = [];
+        dates.forEach(date => {
+          series.push({
+            date,
+            startTime,
+            endTime,
+            eventName,
+            eventType,
+            eventCode: generateEventCode([...existingEvents, ...series]),
+            rotationSecret: rotationSeconds ? generateRotationSecret() : '',
+            rotationSeconds,
+            seriesId
+          });
+        });
+        return series;
+      });
+
+      logger.info('[ADD EVENT SERIES SUCCESS] Event series added', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'add-event-series' },
+        options: { eventName, eventType, startTime, endTime, recurrence, weekdays: weekdaysStr, count, endDate, skipDates, rotationSeconds },
+        after: { seriesId, events: events.map(event => ({ date: event.date, eventCode: event.eventCode })) },
+      });
+
+      let content = `✅ Added ${events.length} "${eventName}" event(s) (${eventType}, ${startTime} - ${endTime}).\n`;
+      content += '```\nDate       | Code\n-----------|--------\n';
+      const lines = events.map(event => `${event.date} | ${event.eventCode}\n`);
+      let shown = 0;
+      for (const line of lines) {
+        if (content.length + line.length > 1800) break;
+        content += line;
+        shown++;
+      }
+      content += '```';
+      if (shown < lines.length) {
+        content += `…and ${lines.length - shown} more (see \`/show-event-list\`).\n`;
+      }
+      content += 'Change or cancel them later with `/edit-event` or `/delete-event` and `scope: All upcoming events in the series`.';
+
+      await interaction.reply({ content, flags: ['Ephemeral'] });
+      
+    } catch (error) {
+      logger.error('Error handling add-event-series command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'add-event-series' },
+        error: error.message,
+      });
+      await interaction.reply({ content: 'An error occurred while adding the event series.', flags: ['Ephemeral'] });
+    }
+  }
+
+  /**
+   * Checks imported rows with the same rules as /add-event
+   * @param {Array} entries - Rows from parseEventsCsv() or parseEventsIcs()
+   * @param {Array} existingEvents - Events already in the sheet
+   * @param {Array} pointTypes - Event types from the Points System sheet
+   * @param {string|null} defaultType - Event type for rows that don't name one
+   * @returns {Array} { line, event, generatedCode } for valid rows, { line, error } otherwise
+   */
+  validateImportRows(entries, existingEvents, pointTypes, defaultType) {
+    const accepted = [];
+
+    return entries.map(entry => {
+      const date = parseDate(entry.date);
+      const startTime = parseTime(entry.startTime);
+      const endTime = parseTime(entry.endTime);
+      const eventType = entry.eventType ? findEventType(entry.eventType, pointTypes) : defaultType;
+      const eventCode = (entry.eventCode || '').trim();
+      const conflictingEvent = eventCode ? findEventCodeConflict([...existingEvents, ...accepted], eventCode) : null;
+
+      let error = entry.error || null;
+      if (!error && !entry.eventName) {
+        error = 'Missing event name';
+      } else if (!error && !date) {
+        error = `Invalid date "${entry.date || ''}"`;
+      } else if (!error && !startTime) {
+        error = `Invalid start time "${entry.startTime || ''}"`;
+      } else if (!error && !endTime) {
+        error = `Invalid end time "${entry.endTime || ''}"`;
+      } else if (!error && !isTimeAfter(startTime, endTime)) {
+        error = `End time (${endTime}) must be after start time (${startTime})`;
+      } else if (!error && !eventType) {
+        error = entry.eventType ? `Unknown event type "${entry.eventType}"` : 'Missing event type (or set `event-type` for the whole file)';
+      } else if (!error && conflictingEvent) {
+        error = describeEventCodeConflict(eventCode, conflictingEvent);
+      }
+
+      if (error) return { line: entry.line, error };
+
+      const event = {
+        date,
+        startTime,
+        endTime,
+        eventName: entry.eventName,
+        eventType,
+        eventCode: eventCode || generateEventCode([...existingEvents, ...accepted])
+      };
+      accepted.push(event);
+      return { line: entry.line, event, generatedCode: !eventCode };
+    });
+  }
+
+  async handleImportEvents(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[IMPORT EVENTS FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'import-events' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      const attachment = interaction.options.getAttachment('file');
+      const eventTypeOption = await this.getEventTypeOption(interaction, 'import-events', permissionLevel);
+      if (!eventTypeOption) return;
+      const defaultType = eventTypeOption.eventType;
+      const extension = path.extname(attachment.name || '').toLowerCase();
+
+      let problem = null;
+      if (!['.csv', '.ics'].includes(extension)) {
+        problem = 'Please upload a `.csv` or `.ics` file.';
+      } else if (attachment.size > CONFIG.IMPORT.MAX_FILE_BYTES) {
+        problem = `The file is too large (max ${Math.round(CONFIG.IMPORT.MAX_FILE_BYTES / 1024)} KB).`;
+      }
+
+      if (problem) {
+        await interaction.reply({ content: problem, flags: ['Ephemeral'] });
+        return;
+      }
+
+      await interaction.deferReply({ flags: ['Ephemeral'] });
+
+      const response = await fetch(attachment.url);
+      if (!response.ok) throw new Error(`Attachment download failed with status ${response.status}`);
+      const text = await response.text();
+
+      const pointTypes = await this.storage.getPointTypes();
+      const entries = extension === '.ics' ? parseEventsIcs(text, pointTypes) : parseEventsCsv(text);
+      if (entries.length === 0 || entries.length > CONFIG.IMPORT.MAX_ROWS) {
+        await interaction.editReply({ 
+          content: entries.length === 0
+            ? 'No events were found in the file. CSV files need a header row with Date, Start Time, End Time, Event Name and Event Type (Event Code is optional).'
+            : `The file has ${entries.length} events; at most ${CONFIG.IMPORT.MAX_ROWS} can be imported at once.`
+        });
+        return;
+      }
+
+      const rows = this.validateImportRows(entries, await this.storage.getEvents(), pointTypes, defaultType);
+      const validRows = rows.filter(row => row.event);
+
+      // Previews that were never confirmed just expire
+      const now = Date.now();
+      for (const [id, pending] of this.pendingImports) {
+        if (pending.expiresAt <= now) this.pendingImports.delete(id);
+      }
+
+      const importId = crypto.randomBytes(6).toString('hex');
+      this.pendingImports.set(importId, {
+        userId: interaction.user.id,
+        fileName: attachment.name,
+        rows: validRows,
+        expiresAt: now + CONFIG.IMPORT.PREVIEW_MINUTES * 60 * 1000
+      });
+
+      const label = extension === '.ics' ? 'Event' : 'Line';
+      let content = `📥 **Import preview** for \`${attachment.name}\`: ${validRows.length} ready, ${rows.length - validRows.length} with errors\n`;
+      content += '```\n';
+      const lines = rows.map(row => row.event
+        ? `✅ ${label} ${row.line}: ${row.event.date} ${row.event.startTime}-${row.event.endTime} ${row.event.eventName} (${row.event.eventType}, ${row.event.eventCode}${row.generatedCode ? ', generated' : ''})\n`
+        : `❌ ${label} ${row.line}: ${row.error}\n`);
+      let shown = 0;
+      for (const line of lines) {
+        if (content.length + line.length > 1750) break;
+        content += line;
+        shown++;
+      }
+      content += '```\n';
+      if (shown < lines.length) content += `…and ${lines.length - shown} more row(s).\n`;
+      content += validRows.length > 0
+        ? `Rows with errors are skipped. Confirm within ${CONFIG.IMPORT.PREVIEW_MINUTES} minutes to add the ${validRows.length} valid event(s).`
+        : 'Nothing can be imported. Fix the file and upload it again.';
+
+      const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`import-events:confirm:${importId}`)
+          .setLabel(`Import ${validRows.length} event(s)`)
+          .setStyle(ButtonStyle.Success)
+          .setDisabled(validRows.length === 0),
+        new ButtonBuilder()
+          .setCustomId(`import-events:cancel:${importId}`)
+          .setLabel('Cancel')
+          .setStyle(ButtonStyle.Secondary)
+      );
+
+      await interaction.editReply({ content, components: [buttons] });
+
+      logger.info('[IMPORT EVENTS PENDING] Import preview shown', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'import-events' },
+        options: { fileName: attachment.name, importId, defaultType },
+        results: { rows: rows.length, valid: validRows.length, errors: rows.filter(row => row.error).map(row => `${row.line}: ${row.error}`) },
+      });
+      
+    } catch (error) {
+      logger.error('Error handling import-events command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'import-events' },
+        error: error.message,
+      });
+      const content = 'An error occurred while reading the import file.';
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content, components: [] });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+      }
+    }
+  }
+
+  async handleImportEventsButton(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+    const userDisplayName = getExecutorUsername(interaction);
+    const [, action, importId] = interaction.customId.split(':');
+    const pending = this.pendingImports.get(importId);
+
+    if (!checkPermissions(interaction, permissionLevel)) {
+      await interaction.reply({ content: 'You do not have permission to import events.', flags: ['Ephemeral'] });
+      return;
+    }
+
+    if (!pending || pending.expiresAt <= Date.now()) {
+      this.pendingImports.delete(importId);
+      await interaction.update({ content: 'This import preview has expired. Run `/import-events` again.', components: [] });
+      return;
+    }
+
+    if (pending.userId !== interaction.user.id) {
+      await interaction.reply({ content: 'Only the staff member who uploaded this file can confirm or cancel the import.', flags: ['Ephemeral'] });
+      return;
+    }
+
+    if (action === 'cancel') {
+      this.pendingImports.delete(importId);
+      await interaction.update({ content: 'Import cancelled. No events were added.', components: [] });
+      return;
+    }
+
+    // Taken now so a double click can't import the batch twice
+    this.pendingImports.delete(importId);
+
+    try {
+      // Codes may have been taken since the preview: regenerate ours, skip rows with a chosen code
+      const skipped = [];
+      const events = await this.storage.addEvents(existingEvents => {
+        const accepted = [];
+        pending.rows.forEach(row => {
+          const conflictingEvent = findEventCodeConflict([...existingEvents, ...accepted], row.event.eventCode);
+          if (!conflictingEvent) {
+            accepted.push(row.event);
+          } else if (row.generatedCode) {
+            accepted.push({ ...row.event, eventCode: generateEventCode([...existingEvents, ...accepted]) });
+          } else {
+            skipped.push(`${row.line}: ${describeEventCodeConflict(row.event.eventCode, conflictingEvent)}`);
+          }
+        });
+        return accepted;
+      });
+
+      logger.info('[IMPORT EVENTS SUCCESS] Events imported', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'import-events' },
+        options: { fileName: pending.fileName, importId },
+        after: events.map(event => ({ date: event.date, eventName: event.eventName, eventCode: event.eventCode })),
+        results: { imported: events.length, skipped },
+      });
+
+      await interaction.update({ 
+        content: `✅ Imported ${events.length} event(s) from \`${pending.fileName}\` (confirmed by ${userDisplayName}).` +
+                 (skipped.length > 0 ? `\nSkipped because their codes were taken in the meantime:\n${skipped.join('\n')}`.substring(0, 1500) : ''), 
+        components: [] 
+      });
+    } catch (error) {
+      logger.error('Error importing events', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'import-events' },
+        options: { importId },
+        error: error.message,
+      });
+      await interaction.update({ content: 'An error occurred while importing the events. No events were added.', components: [] });
+    }
+  }
+
+  /**
+   * Resolves the event option of /edit-event and /delete-event, replying when it doesn't
+   * identify exactly one event
+   * @returns {Promise<Object|null>} The selected event, or null if a reply was sent
+   */
+  async resolveSelectedEvent(interaction, selector) {
+    const events = await this.storage.getEvents();
+    const matches = findEventsBySelector(events, selector);
+
+    if (matches.length === 1) return matches[0];
+
+    await interaction.reply({ 
+      content: matches.length === 0
+        ? `No event found for "${selector}". Pick one from the suggestions or enter its event code.`
+        : `${matches.length} events use the code "${selector}". Pick the one you mean from the suggestions.`, 
+      flags: ['Ephemeral'] 
+    });
+    return null;
+  }
+
+  /**
+   * Expands the selected event to the events a series-scoped command changes: every
+   * upcoming occurrence in its series. Past occurrences are left alone so attendance
+   * already earned at them is unaffected.
+   * @param {Object} [options] - { occurrenceOnly: message to show if the change can't apply to a series }
+   * @returns {Promise<Array|null>} Events to change, or null if a reply was sent
+   */
+  async resolveEventScope(interaction, event, scope, { occurrenceOnly = null } = {}) {
+    if (scope !== EVENT_SCOPES.SERIES) return [event];
+
+    let problem = null;
+    let occurrences = [];
+    if (!event.seriesId) {
+      problem = `"${event.eventName}" on ${event.date} is not part of a series.`;
+    } else if (occurrenceOnly) {
+      problem = occurrenceOnly;
+    } else {
+      const today = moment().tz(CONFIG.TIMEZONE).format('YYYY-MM-DD');
+      occurrences = (await this.storage.getEvents())
+        .filter(existing => existing.seriesId === event.seriesId && (parseDate(existing.date) || '') >= today);
+      if (occurrences.length === 0) problem = `The "${event.eventName}" series has no upcoming events left.`;
+    }
+
+    if (problem) {
+      await interaction.reply({ content: problem, flags: ['Ephemeral'] });
+      return null;
+    }
+    return occurrences;
+  }
+
+  async handleEditEvent(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[EDIT EVENT FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'edit-event' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      const selector = interaction.options.getString('event');
+      const scope = interaction.options.getString('scope') || EVENT_SCOPES.OCCURRENCE;
+      const eventName = interaction.options.getString('event-name');
+      const dateStr = interaction.options.getString('date');
+      const startTimeStr = interaction.options.getString('start-time');
+      const endTimeStr = interaction.options.getString('end-time');
+      const eventTypeOption = await this.getEventTypeOption(interaction, 'edit-event', permissionLevel);
+      if (!eventTypeOption) return;
+      const { eventType } = eventTypeOption;
+      const eventCode = interaction.options.getString('event-code')?.trim();
+
+      if (![eventName, dateStr, startTimeStr, endTimeStr, eventType, eventCode].some(value => value)) {
+        await interaction.reply({ content: 'Nothing to change. Set at least one of the event options.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      const event = await this.resolveSelectedEvent(interaction, selector);
+      if (!event) return;
+
+      const targets = await this.resolveEventScope(interaction, event, scope, {
+        occurrenceOnly: (dateStr || eventCode) ? 'The date and code can only be changed one event at a time.' : null
+      });
+      if (!targets) return;
+
+      // Validate the new values the same way /add-event does
+      const newDate = dateStr ? parseDate(dateStr) : null;
+      const newStartTime = startTimeStr ? parseTime(startTimeStr) : null;
+      const newEndTime = endTimeStr ? parseTime(endTimeStr) : null;
+
+      const updatedEvents = targets.map(target => ({
+        ...target,
+        date: newDate || target.date,
+        startTime: newStartTime || parseTime(target.startTime) || target.startTime,
+        endTime: newEndTime || parseTime(target.endTime) || target.endTime,
+        eventName: eventName || target.eventName,
+        eventType: eventType || target.eventType,
+        eventCode: eventCode || target.eventCode
+      }));
+
+      let problem = null;
+      const invalidWindow = updatedEvents.find(updated => !isTimeAfter(updated.startTime, updated.endTime));
+      if (dateStr && !newDate) {
+        problem = `Invalid date format: "${dateStr}". Please use a common format like MM/DD/YY, MM/DD/YYYY, or YYYY-MM-DD.`;
+      } else if (startTimeStr && !newStartTime) {
+        problem = `Invalid start time format: "${startTimeStr}". Please use a common format like 3pm, 3:30pm, or 15:30.`;
+      } else if (endTimeStr && !newEndTime) {
+        problem = `Invalid end time format: "${endTimeStr}". Please use a common format like 5pm, 5:30pm, or 17:30.`;
+      } else if (invalidWindow) {
+        problem = `End time (${invalidWindow.endTime}) must be after start time (${invalidWindow.startTime}) on ${invalidWindow.date}.`;
+      }
+
+      const conflictingEvent = eventCode
+        ? findEventCodeConflict(await this.storage.getEvents(), eventCode, event)
+        : null;
+      if (!problem && conflictingEvent) {
+        problem = describeEventCodeConflict(eventCode, conflictingEvent);
+      }
+
+      if (problem) {
+        logger.warn('[EDIT EVENT FAILED] Invalid event details', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'edit-event' },
+          options: { event: selector, scope, eventName, date: dateStr, startTime: startTimeStr, endTime: endTimeStr, eventType, eventCode },
+          reason: problem,
+        });
+        await interaction.reply({ content: problem, flags: ['Ephemeral'] });
+        return;
+      }
+
+      // Recalculating attendance and rewriting the sheet can outlast Discord's 3 second window
+      await interaction.deferReply({ flags: ['Ephemeral'] });
+
+      // Submissions are matched by code and date, so changing either would quietly take away
+      // the points everyone already earned at the event
+      const [updatedEvent] = updatedEvents;
+      if (updatedEvent.eventCode !== event.eventCode || parseDate(updatedEvent.date) !== parseDate(event.date)) {
+        const { members } = await this.attendanceProcessor.calculateMembers();
+        const creditedCount = [...members.values()]
+          .filter(member => member.attended.some(attended => getEventKey(attended) === getEventKey(event)))
+          .length;
+
+        if (creditedCount > 0) {
+          logger.warn('[EDIT EVENT FAILED] Event already has attendance', {
+            permissionLevel,
+            executor: { 
+              discord_id: interaction.user.id, 
+              username: interaction.user.username,
+              userDisplayName 
+            },
+            command: { name: 'edit-event' },
+            options: { event: getEventKey(event), date: dateStr, eventCode },
+            results: { credited: creditedCount },
+          });
+          await interaction.editReply({ 
+            content: `⚠️ ${creditedCount} member(s) already earned points at "${event.eventName}" on ${event.date}. ` +
+                     'Changing its date or code would take those points away, so nothing was changed. ' +
+                     'If that is intended, delete the event with `/delete-event` (which confirms first) and add it again.'
+          });
+          return;
+        }
+      }
+
+      const updatesByKey = new Map(targets.map((target, index) => [getEventKey(target), updatedEvents[index]]));
+      await this.storage.updateEvents(events => {
+        // An event was changed or removed since it was selected
+        const found = events.filter(existing => updatesByKey.has(getEventKey(existing))).length;
+        if (found !== targets.length) {
+          throw new SheetConflictError(CONFIG.GOOGLE_SHEETS.EVENTS_SHEET);
+        }
+        return events.map(existing => updatesByKey.get(getEventKey(existing)) || existing);
+      });
+
+      logger.info('[EDIT EVENT SUCCESS] Event updated', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'edit-event' },
+        options: { scope, seriesId: event.seriesId || null },
+        before: targets.length === 1 ? targets[0] : targets,
+        after: updatedEvents.length === 1 ? updatedEvents[0] : updatedEvents,
+      });
+
+      const fields = [
+        ['📝 Name', 'eventName'],
+        ['📅 Date', 'date'],
+        ['🕐 Start', 'startTime'],
+        ['🕔 End', 'endTime'],
+        ['📋 Type', 'eventType'],
+        ['🔑 Code', 'eventCode']
+      ];
+      const [before, after] = [targets[0], updatedEvents[0]];
+      const changes = fields
+        .filter(([, key]) => before[key] !== after[key])
+        .map(([label, key]) => `${label}: ${before[key] || '(none)'} → ${after[key]}`);
+
+      await interaction.editReply({ 
+        content: (scope === EVENT_SCOPES.SERIES
+                   ? `✏️ Updated ${targets.length} upcoming event(s) in the "${after.eventName}" series.\n`
+                   : `✏️ Event "${after.eventName}" updated.\n`) +
+                 (changes.length > 0 ? changes.join('\n') : 'No values changed.')
+      });
+
+      // A new time window or type can change who earned what
+      this.attendanceProcessor.updatePoints('edit-event').catch(() => {});
+      
+    } catch (error) {
+      logger.error('Error handling edit-event command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'edit-event' },
+        error: error.message,
+      });
+      const content = getStorageErrorMessage(error, 'An error occurred while editing the event.');
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+      }
+    }
+  }
+
+  async handleDeleteEvent(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[DELETE EVENT FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'delete-event' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      const selector = interaction.options.getString('event');
+      const scope = interaction.options.getString('scope') || EVENT_SCOPES.OCCURRENCE;
+      const event = await this.resolveSelectedEvent(interaction, selector);
+      if (!event) return;
+
+      const targets = await this.resolveEventScope(interaction, event, scope);
+      if (!targets) return;
+      const targetKeys = new Set(targets.map(getEventKey));
+
+      // Deleting an event also takes away the points it gave; working that out reads every response
+      await interaction.deferReply({ flags: ['Ephemeral'] });
+      const { members } = await this.attendanceProcessor.calculateMembers();
+      const creditedCount = [...members.values()]
+        .filter(member => member.attended.some(attended => targetKeys.has(getEventKey(attended))))
+        .length;
+
+      // A series is re-read when confirmed, so it is identified by its ID rather than a fixed list
+      const confirmId = scope === EVENT_SCOPES.SERIES
+        ? `delete-event:confirm-series:${event.seriesId}`
+        : `delete-event:confirm:${getEventKey(event)}`;
+      const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(confirmId)
+          .setLabel(scope === EVENT_SCOPES.SERIES ? `Delete ${targets.length} events` : 'Delete event')
+          .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder()
+          .setCustomId('delete-event:cancel')
+          .setLabel('Cancel')
+          .setStyle(ButtonStyle.Secondary)
+      );
+
+      const details = scope === EVENT_SCOPES.SERIES
+        ? `🗑️ Delete the ${targets.length} upcoming event(s) in this series?\n` +
+          `📝 Name: ${event.eventName}\n` +
+          `📅 Dates: ${targets.map(target => target.date).join(', ')}`.substring(0, 1500) + '\n' +
+          `📋 Type: ${event.eventType}`
+        : `🗑️ Delete this event?\n` +
+          `📝 Name: ${event.eventName}\n` +
+          `📅 Date: ${event.date}\n` +
+          `🕐 Time: ${event.startTime} - ${event.endTime}\n` +
+          `📋 Type: ${event.eventType}\n` +
+          `🔑 Code: ${event.eventCode}`;
+
+      await interaction.editReply({ 
+        content: details +
+                 (creditedCount > 0 ? `\n⚠️ ${creditedCount} member(s) will lose the points they earned at ${targets.length > 1 ? 'these events' : 'this event'}.` : ''),
+        components: [buttons]
+      });
+
+      logger.info('[DELETE EVENT PENDING] Awaiting confirmation', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'delete-event' },
+        options: { event: getEventKey(event), scope, seriesId: event.seriesId || null },
+        results: { events: targets.length, credited: creditedCount },
+      });
+      
+    } catch (error) {
+      logger.error('Error handling delete-event command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'delete-event' },
+        error: error.message,
+      });
+      const content = 'An error occurred while deleting the event.';
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+      }
+    }
+  }
+
+  async handleDeleteEventButton(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+    const userDisplayName = getExecutorUsername(interaction);
+    // Event keys contain ":" (times), so everything after the action is the key or series ID
+    const [, action, ...keyParts] = interaction.customId.split(':');
+    const target = keyParts.join(':');
+
+    if (!checkPermissions(interaction, permissionLevel)) {
+      logger.warn('[DELETE EVENT FAILED] Unauthorized access attempt', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'delete-event' },
+      });
+      await interaction.reply({ content: 'You do not have permission to delete events.', flags: ['Ephemeral'] });
+      return;
+    }
+
+    if (action === 'cancel') {
+      await interaction.update({ content: 'Event deletion cancelled. Nothing was changed.', components: [] });
+      return;
+    }
+
+    try {
+      // Rewriting the Event Codes sheet can outlast Discord's 3 second window
+      await interaction.deferUpdate();
+
+      // Series deletions only take the occurrences that are still upcoming when confirmed
+      const today = moment().tz(CONFIG.TIMEZONE).format('YYYY-MM-DD');
+      const isDeleted = action === 'confirm-series'
+        ? event => event.seriesId === target && (parseDate(event.date) || '') >= today
+        : event => getEventKey(event) === target;
+
+      let deletedEvents = [];
+      await this.storage.updateEvents(events => {
+        deletedEvents = events.filter(isDeleted);
+        return events.filter(event => !isDeleted(event));
+      });
+
+      if (deletedEvents.length === 0) {
+        await interaction.editReply({ content: 'These events no longer exist, so nothing was deleted.', components: [] });
+        return;
+      }
+
+      logger.info('[DELETE EVENT SUCCESS] Event deleted', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'delete-event' },
+        options: { action, target },
+        before: deletedEvents.length === 1 ? deletedEvents[0] : deletedEvents,
+        after: null,
+      });
+
+      await interaction.editReply({ 
+        content: deletedEvents.length === 1
+          ? `🗑️ Event "${deletedEvents[0].eventName}" on ${deletedEvents[0].date} was deleted by ${userDisplayName}.`
+          : `🗑️ ${deletedEvents.length} upcoming "${deletedEvents[0].eventName}" events (${deletedEvents.map(event => event.date).join(', ')}) were deleted by ${userDisplayName}.`.substring(0, 1900), 
+        components: [] 
+      });
+
+      this.attendanceProcessor.updatePoints('delete-event').catch(() => {});
+    } catch (error) {
+      logger.error('Error deleting event', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'delete-event' },
+        options: { action, target },
+        error: error.message,
+      });
+      const failure = { 
+        content: getStorageErrorMessage(error, 'An error occurred while deleting the event.'), 
+        components: [] 
+      };
+      await (interaction.deferred ? interaction.editReply(failure) : interaction.update(failure));
+    }
+  }
+
+  async handleShowEventList(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      const numberOfEvents = interaction.options.getInteger('number-of-events');
+      
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[SHOW EVENT LIST FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'show-event-list' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      // Fetch events data
+      const events = await this.storage.getEvents();
+      
+      if (events.length === 0) {
+        logger.info('[SHOW EVENT LIST EMPTY] No events found', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'show-event-list' },
+        });
+        await interaction.reply({ content: 'No events available.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      // Sort events by most recent date
+      const eventData = events
+        .map(event => ({
+          ...event,
+          sortDate: moment(event.date, 'YYYY-MM-DD', true).isValid() 
+            ? moment(event.date, 'YYYY-MM-DD').valueOf() 
+            : 0
+        }))
+        .sort((a, b) => b.sortDate - a.sortDate);
+
+      // Limit to specified number or show all
+      const displayEvents = numberOfEvents ? eventData.slice(0, numberOfEvents) : eventData;
+
+      if (displayEvents.length === 0) {
+        await interaction.reply({ content: 'No valid events to display.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      // Build table
+      let eventListText = '```\n';
+      eventListText += numberOfEvents 
+        ? `📅 RECENT EVENTS (Top ${numberOfEvents})\n\n`
+        : '📅 ALL EVENTS\n\n';
+      eventListText += 'Date       | Time                     | Event Name           | Type                  | Code\n';
+      eventListText += '-----------|--------------------------|----------------------|-----------------------|----------\n';
+      
+      displayEvents.forEach(event => {
+        const date = event.date.padEnd(10, ' ').substring(0, 10);
+        const time = `${event.startTime}-${event.endTime}`.padEnd(24, ' ').substring(0, 24);
+        const name = event.eventName.padEnd(20, ' ').substring(0, 20);
+        const type = event.eventType.padEnd(21, ' ').substring(0, 21);
+        const code = event.eventCode.padEnd(8, ' ').substring(0, 8);
+        eventListText += `${date} | ${time} | ${name} | ${type} | ${code}\n`;
+      });
+      
+      eventListText += '```';
+      
+      await interaction.reply({ content: eventListText, flags: ['Ephemeral'] });
+      
+      logger.info('[SHOW EVENT LIST SUCCESS] Event list displayed', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'show-event-list' },
+        options: { numberOfEvents },
+        results: { count: displayEvents.length }
+      });
+      
+    } catch (error) {
+      logger.error('Error handling show-event-list command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'show-event-list' },
+        error: error.message,
+      });
+      await interaction.reply({ content: 'An error occurred while retrieving the event list.', flags: ['Ephemeral'] });
+    }
+  }
+
+  async handleEventAttendance(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      const selector = interaction.options.getString('event');
+      const format = interaction.options.getString('format') || REPORT_FORMATS.TABLE;
+
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[EVENT ATTENDANCE FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'event-attendance' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      const selected = await this.resolveSelectedEvent(interaction, selector);
+      if (!selected) return;
+
+      // Matching submissions to events reads every sheet, so acknowledge the interaction first
+      await interaction.deferReply({ flags: ['Ephemeral'] });
+
+      const { members, rejected, events } = await this.attendanceProcessor.calculateMembers();
+      const eventKey = getEventKey(selected);
+      const bySubmissionTime = (a, b) => (parseTimestamp(a.timestamp)?.valueOf() || 0) - (parseTimestamp(b.timestamp)?.valueOf() || 0);
+
+      const accepted = [...members]
+        .flatMap(([netId, member]) => member.attended
+          .filter(event => getEventKey(event) === eventKey)
+          .map(event => ({ netId, firstName: member.firstName, lastName: member.lastName, ...event })))
+        .sort(bySubmissionTime);
+      // Rejections point at the closest event; a rotating event's static code matches no event at all
+      const rejections = rejected
+        .filter(submission => submission.eventIndex !== null
+          ? getEventKey(events[submission.eventIndex]) === eventKey
+          : normalizeEventCode(submission.eventCode) === normalizeEventCode(selected.eventCode))
+        .sort(bySubmissionTime);
+      const pointsAwarded = accepted.reduce((total, attendance) => total + attendance.points, 0);
+      const counted = accepted.length === 0 || accepted[0].counted;
+
+      const formatTime = (timestamp) => parseTimestamp(timestamp)?.format('M/D h:mm A') || timestamp;
+      const summary = `📋 **${selected.eventName}** (${selected.eventType}) on ${selected.date}, ${selected.startTime} – ${selected.endTime}, code \`${selected.eventCode}\`\n` +
+                      `✔️ ${accepted.length} accepted · ${pointsAwarded.toLocaleString()} point(s) awarded` +
+                      `${counted ? '' : ' (outside the current season, so not in current totals)'} · ❌ ${rejections.length} rejected`;
+
+      let table = '```\n';
+      table += `ACCEPTED (${accepted.length})\n`;
+      table += 'NetID        | Name                 | Checked In    | Source  | Pts\n';
+      table += '-------------|----------------------|---------------|---------|----\n';
+      accepted.forEach(attendance => {
+        const netId = attendance.netId.padEnd(12, ' ').substring(0, 12);
+        const name = (`${attendance.firstName} ${attendance.lastName}`.trim() || '—').padEnd(20, ' ').substring(0, 20);
+        const time = formatTime(attendance.timestamp).padEnd(13, ' ').substring(0, 13);
+        const source = attendance.source.padEnd(7, ' ');
+        table += `${netId} | ${name} | ${time} | ${source} | ${attendance.points}\n`;
+      });
+      table += `\nREJECTED (${rejections.length})\n`;
+      table += 'NetID        | Submitted     | Source  | Reason\n';
+      table += '-------------|---------------|---------|------------------------------\n';
+      rejections.forEach(submission => {
+        const netId = submission.netId.padEnd(12, ' ').substring(0, 12);
+        const time = formatTime(submission.timestamp).padEnd(13, ' ').substring(0, 13);
+        const source = submission.source.padEnd(7, ' ');
+        table += `${netId} | ${time} | ${source} | ${SUBMISSION_REJECTION_REASONS[submission.status]}\n`;
+      });
+      table += '```';
+
+      // Long reports don't fit in one message, so they come as a CSV instead
+      const asCsv = format === REPORT_FORMATS.CSV || summary.length + table.length > 1950;
+
+      if (asCsv) {
+        const csv = buildCsv([
+          ['Status', 'NetID', 'First Name', 'Last Name', 'Submitted At', 'Source', 'Points', 'Reason'],
+          ...accepted.map(attendance => [
+            'Accepted', attendance.netId, attendance.firstName, attendance.lastName, attendance.timestamp, attendance.source, attendance.points, ''
+          ]),
+          ...rejections.map(submission => [
+            'Rejected', submission.netId, submission.firstName || '', submission.lastName || '', submission.timestamp, submission.source, 0,
+            SUBMISSION_REJECTION_REASONS[submission.status]
+          ])
+        ]);
+        const fileName = `attendance-${selected.date}-${selected.eventName.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.csv`;
+
+        await interaction.editReply({ 
+          content: format === REPORT_FORMATS.CSV ? summary : `${summary}\nThe report is too long to show here, so it is attached as a CSV.`,
+          files: [new AttachmentBuilder(Buffer.from(csv, 'utf8'), { name: fileName })]
+        });
+      } else {
+        await interaction.editReply({ content: `${summary}\n${table}` });
+      }
+
+      logger.info('[EVENT ATTENDANCE SUCCESS] Attendance report generated', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'event-attendance' },
+        options: { eventCode: selected.eventCode, date: selected.date, format: asCsv ? REPORT_FORMATS.CSV : REPORT_FORMATS.TABLE },
+        results: { accepted: accepted.length, rejected: rejections.length, pointsAwarded }
+      });
+
+    } catch (error) {
+      logger.error('Error handling event-attendance command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'event-attendance' },
+        error: error.message,
+      });
+      const content = 'An error occurred while generating the attendance report.';
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+      }
+    }
+  }
+
+  async handleStats(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      const season = interaction.options.getString('season');
+
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[STATS FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'stats' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      const seasons = await this.storage.getSeasons();
+      const pastSeason = season
+        ? seasons.find(existing => existing.status === SEASON_STATUS.ENDED && existing.name.toLowerCase() === season.trim().toLowerCase())
+        : null;
+
+      if (season && !pastSeason) {
+        await interaction.reply({ content: `No ended season named "${season}" was found.`, flags: ['Ephemeral'] });
+        return;
+      }
+
+      // Charts need every sheet and some drawing, so acknowledge the interaction first
+      await interaction.deferReply({ flags: ['Ephemeral'] });
+
+      const window = pastSeason ? { from: pastSeason.startDate, to: pastSeason.endDate } : getCountingWindow(seasons);
+      const activeSeason = seasons.find(existing => existing.status === SEASON_STATUS.ACTIVE);
+      const scope = pastSeason
+        ? `season **${pastSeason.name}**`
+        : activeSeason ? `season **${activeSeason.name}**` : window.from ? `events since ${window.from}` : 'all events';
+
+      const { members, events } = await this.attendanceProcessor.calculateMembers();
+      const stats = buildAttendanceStats(members, events, window, moment.tz(CONFIG.TIMEZONE).format('YYYY-MM-DD'));
+
+      if (stats.events.length === 0) {
+        await interaction.editReply({ content: `No events have been held in ${scope} yet.` });
+        return;
+      }
+
+      const summary = `📊 **Attendance stats** for ${scope}\n` +
+                      `📅 ${stats.events.length} event(s) · 👥 ${stats.members} member(s) · ✔️ ${stats.checkIns} check-in(s) · ` +
+                      `🆕 ${stats.newMembers} first-time attendee(s)`;
+
+      const canvas = await loadCanvas();
+      if (canvas) {
+        const eventLabels = stats.events.map(({ event }) => `${moment(parseDate(event.date), 'YYYY-MM-DD').format('M/D')} ${event.eventName}`);
+        const charts = [
+          ['attendance-per-event.png', {
+            title: 'Attendance per event',
+            labels: eventLabels,
+            series: [{ name: 'Attendance', values: stats.events.map(entry => entry.attendance), color: '#5865F2' }],
+            type: 'line'
+          }],
+          ['average-by-type.png', {
+            title: 'Average attendance by event type',
+            labels: stats.byType.map(type => type.eventType),
+            series: [{ name: 'Average', values: stats.byType.map(type => type.average), color: '#57B17F' }]
+          }],
+          ['new-vs-returning.png', {
+            title: 'New vs returning members per event',
+            labels: eventLabels,
+            series: [
+              { name: 'Returning', values: stats.events.map(entry => entry.returningMembers), color: '#5865F2' },
+              { name: 'New', values: stats.events.map(entry => entry.newMembers), color: '#FEA500' }
+            ],
+            stacked: true
+          }],
+          ...(stats.retention.length > 0 ? [['retention.png', {
+            title: 'Members attending again N weeks after their first week',
+            labels: stats.retention.map(point => `${point.weeks} wk`),
+            series: [{ name: 'Retention', values: stats.retention.map(point => point.rate), color: '#ED4245' }],
+            type: 'line',
+            maxValue: 100,
+            suffix: '%'
+          }]] : [])
+        ];
+
+        await interaction.editReply({
+          content: summary,
+          files: charts.map(([name, chart]) => new AttachmentBuilder(renderChart(canvas, chart), { name }))
+        });
+      } else {
+        await interaction.editReply({ content: this.buildStatsText(summary, stats) });
+      }
+
+      logger.info('[STATS SUCCESS] Attendance stats generated', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'stats' },
+        options: { season: pastSeason?.name || null, ...window },
+        results: { events: stats.events.length, members: stats.members, checkIns: stats.checkIns, charts: Boolean(canvas) }
+      });
+
+    } catch (error) {
+      logger.error('Error handling stats command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'stats' },
+        error: error.message,
+      });
+      const content = 'An error occurred while generating attendance stats.';
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+      }
+    }
+  }
+
+  // Text version of the /stats charts, trimmed to fit in one message
+  buildStatsText(summary, stats) {
+    const recent = stats.events.slice(-12);
+
+    let text = '```\n';
+    text += `EVENTS${recent.length < stats.events.length ? ` (last ${recent.length})` : ''}\n`;
+    text += 'Date  | Event                | Total | New | Returning\n';
+    text += '------|----------------------|-------|-----|----------\n';
+    recent.forEach(({ event, attendance, newMembers, returningMembers }) => {
+      const date = moment(parseDate(event.date), 'YYYY-MM-DD').format('M/D').padEnd(5, ' ');
+      const name = event.eventName.padEnd(20, ' ').substring(0, 20);
+      text += `${date} | ${name} | ${String(attendance).padStart(5, ' ')} | ${String(newMembers).padStart(3, ' ')} | ${String(returningMembers).padStart(9, ' ')}\n`;
+    });
+
+    text += '\nAVERAGE BY EVENT TYPE\n';
+    text += 'Type                  | Events | Average\n';
+    text += '----------------------|--------|--------\n';
+    stats.byType.forEach(type => {
+      text += `${type.eventType.padEnd(21, ' ').substring(0, 21)} | ${String(type.events).padStart(6, ' ')} | ${String(type.average).padStart(7, ' ')}\n`;
+    });
+
+    if (stats.retention.length > 0) {
+      text += '\nRETENTION (attending again N weeks after their first week)\n';
+      text += stats.retention.slice(0, 12).map(point => `${point.weeks} wk: ${point.rate}%`).join(' · ') + '\n';
+    }
+    text += '```';
+
+    return `${summary}\n${text}`;
+  }
+
+  async handleExportCalendar(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.USER;
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      const upcomingOnly = interaction.options.getBoolean('upcoming-only') ?? true;
+      
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[EXPORT CALENDAR FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'export-calendar' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      const eventTypeOption = await this.getEventTypeOption(interaction, 'export-calendar', permissionLevel);
+      if (!eventTypeOption) return;
+      const { eventType } = eventTypeOption;
+
+      const now = moment.tz(CONFIG.TIMEZONE);
+      // Rows whose date or times can't be parsed can't go in a calendar either
+      const events = (await this.storage.getEvents())
+        .filter(event => !eventType || event.eventType === eventType)
+        .map(event => ({ event, window: getEventWindow(event) }))
+        .filter(({ window }) => window && (!upcomingOnly || window.end.isAfter(now)))
+        .sort((a, b) => a.window.start.valueOf() - b.window.start.valueOf())
+        .map(({ event }) => event);
+
+      if (events.length === 0) {
+        await interaction.reply({ 
+          content: `There are no ${upcomingOnly ? 'upcoming ' : ''}${eventType ? `${eventType} ` : ''}events to export.`, 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      const fileName = `club-events${eventType ? `-${eventType.toLowerCase().replace(/\s+/g, '-')}` : ''}.ics`;
+      await interaction.reply({ 
+        content: `📅 ${events.length} ${upcomingOnly ? 'upcoming ' : ''}${eventType ? `${eventType} ` : ''}event(s). ` +
+                 'Open the file or import it into Google Calendar, Outlook or Apple Calendar; run this again later to pick up new events.', 
+        files: [new AttachmentBuilder(Buffer.from(buildEventsIcs(events), 'utf8'), { name: fileName })],
+        flags: ['Ephemeral']
+      });
+      
+      logger.info('[EXPORT CALENDAR SUCCESS] Calendar file sent', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'export-calendar' },
+        options: { upcomingOnly, eventType },
+        results: { count: events.length }
+      });
+      
+    } catch (error) {
+      logger.error('Error handling export-calendar command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'export-calendar' },
+        error: error.message,
+      });
+      await interaction.reply({ content: 'An error occurred while exporting the calendar.', flags: ['Ephemeral'] });
+    }
+  }
+
+  async handleGetAttendanceQR(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      const eventCode = interaction.options.getString('event');
+      const showDetails = interaction.options.getBoolean('show-details') ?? false;
+      
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[GET ATTENDANCE QR FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'get-attendance-qr' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      if (!CONFIG.CHECK_IN.FORM_URL || !CONFIG.CHECK_IN.FORM_CODE_FIELD) {
+        logger.error('[GET ATTENDANCE QR FAILED] Check-in form is not configured', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'get-attendance-qr' },
+          options: { eventCode },
+        });
+        await interaction.reply({ 
+          content: 'The check-in form is not configured. Please contact an administrator.', 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      const events = await this.storage.getEvents();
+      const event = events.find(e => e.eventCode === eventCode);
+
+      if (!event) {
+        logger.warn('[GET ATTENDANCE QR FAILED] Event not found', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'get-attendance-qr' },
+          options: { eventCode },
+        });
+        await interaction.reply({ 
+          content: `No event found with code "${eventCode}". Pick an event from the suggestions.`, 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      if (isRotatingEvent(event)) {
+        await interaction.reply({ 
+          content: `"${event.eventName}" uses a rotating code, so a fixed QR code would stop working. Use \`/show-rotating-code\` instead.`, 
+          flags: ['Ephemeral'] 
+        });
+        return;
+      }
+
+      // Rendered locally so the check-in URL never leaves the bot
+      const checkInUrl = buildCheckInUrl(event.eventCode);
+      const qrImage = await QRCode.toBuffer(checkInUrl, { type: 'png', width: 512, margin: 2 });
+      const fileName = `attendance-${event.eventCode.replace(/[^a-z0-9_-]/gi, '_')}.png`;
+
+      let content = `📱 **Attendance QR Code**\n🔑 Code: ${event.eventCode}`;
+      if (showDetails) {
+        content += `\n📋 Event: ${event.eventName}\n` +
+                   `📅 Date: ${event.date}\n` +
+                   `🕐 Time: ${event.startTime} - ${event.endTime}`;
+      }
+
+      await interaction.reply({ 
+        content, 
+        files: [new AttachmentBuilder(qrImage, { name: fileName })],
+        flags: ['Ephemeral']
+      });
+      
+      logger.info('[GET ATTENDANCE QR SUCCESS] QR code sent', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'get-attendance-qr' },
+        options: { eventCode, showDetails },
+      });
+      
+    } catch (error) {
+      logger.error('Error handling get-attendance-qr command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'get-attendance-qr' },
+        error: error.message,
+      });
+      await interaction.reply({ content: 'An error occurred while generating the QR code.', flags: ['Ephemeral'] });
+    }
+  }
+
+  async handleShowRotatingCode(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+    
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+      const eventCode = interaction.options.getString('event');
+      
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[SHOW ROTATING CODE FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'show-rotating-code' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      const events = await this.storage.getEvents();
+      const event = events.find(e => e.eventCode === eventCode);
+      const window = event ? getEventWindow(event) : null;
+      const closesAt = window?.end.clone().add(CONFIG.ATTENDANCE.TOLERANCE_MINUTES, 'minutes');
+      let problem = null;
+
+      if (!event) {
+        problem = `No event found with code "${eventCode}". Pick an event from the suggestions.`;
+      } else if (!isRotatingEvent(event)) {
+        problem = `"${event.eventName}" uses a static code. Use \`/get-attendance-qr\` instead.`;
+      } else if (!window) {
+        problem = `"${event.eventName}" has an invalid date or time on file.`;
+      } else if (moment().isAfter(closesAt)) {
+        problem = `Check-in for "${event.eventName}" has already closed.`;
+      }
+
+      if (problem) {
+        logger.warn('[SHOW ROTATING CODE FAILED] Event cannot be displayed', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'show-rotating-code' },
+          options: { eventCode },
+        });
+        await interaction.reply({ content: problem, flags: ['Ephemeral'] });
+        return;
+      }
+
+      // Post a regular channel message: interaction replies can only be edited for 15 minutes
+      const message = await interaction.channel.send(await this.buildRotatingCodeMessage(event, closesAt));
+      this.scheduleRotatingDisplay(message, event, closesAt);
+
+      await interaction.reply({ 
+        content: `🔄 Live code display started for "${event.eventName}". It refreshes every ${event.rotationSeconds}s until check-in closes.`, 
+        flags: ['Ephemeral'] 
+      });
+      
+      logger.info('[SHOW ROTATING CODE SUCCESS] Live code display started', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'show-rotating-code' },
+        options: { eventCode, messageId: message.id, rotationSeconds: event.rotationSeconds },
+      });
+      
+    } catch (error) {
+      logger.error('Error handling show-rotating-code command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'show-rotating-code' },
+        error: error.message,
+      });
+      await interaction.reply({ content: 'An error occurred while starting the live code display.', flags: ['Ephemeral'] });
+    }
+  }
+
+  async buildRotatingCodeMessage(event, closesAt, now = moment()) {
+    const code = generateRotatingCode(event, now);
+    const periodMs = event.rotationSeconds * 1000;
+    const nextChange = Math.ceil((now.valueOf() + 1) / periodMs) * periodMs;
+
+    const payload = {
+      content: `🔄 **${event.eventName}** check-in code\n` +
+               `# ${code}\n` +
+               `Changes <t:${Math.floor(nextChange / 1000)}:R> · Check-in closes <t:${closesAt.unix()}:t>\n` +
+               `Use \`/check-in code:${code}\`${CONFIG.CHECK_IN.FORM_URL ? ' or scan the QR code' : ''}.`,
+      files: [],
+      attachments: [],
+      components: [
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId('rotating-code:stop')
+            .setLabel('Stop')
+            .setStyle(ButtonStyle.Secondary)
+        )
+      ]
+    };
+
+    if (CONFIG.CHECK_IN.FORM_URL && CONFIG.CHECK_IN.FORM_CODE_FIELD) {
+      const qrImage = await QRCode.toBuffer(buildCheckInUrl(code), { type: 'png', width: 512, margin: 2 });
+      payload.files.push(new AttachmentBuilder(qrImage, { name: 'check-in-code.png' }));
+    }
+
+    return payload;
+  }
+
+  scheduleRotatingDisplay(message, event, closesAt) {
+    const periodMs = event.rotationSeconds * 1000;
+    // Stop can be pressed while a refresh is rendering or editing; `stopped` keeps that refresh
+    // from putting the code back, and `refreshing` lets Stop wait for an edit already sent
+    const display = { event, timer: null, stopped: false, refreshing: Promise.resolve() };
+    this.rotatingDisplays.set(message.id, display);
+
+    const refresh = async () => {
+      const now = moment();
+
+      if (now.isAfter(closesAt)) {
+        this.rotatingDisplays.delete(message.id);
+        await message.edit({ content: `⌛ Check-in for **${event.eventName}** has closed.`, files: [], attachments: [], components: [] })
+          .catch(error => logger.warn('Failed to close rotating code display', { error: error.message, messageId: message.id }));
+        return;
+      }
+
+      try {
+        const payload = await this.buildRotatingCodeMessage(event, closesAt, now);
+        if (display.stopped) return;
+        await message.edit(payload);
+      } catch (error) {
+        // Most likely the message was deleted; stop refreshing it
+        logger.warn('Stopped rotating code display after a failed refresh', { error: error.message, messageId: message.id });
+        this.rotatingDisplays.delete(message.id);
+        return;
+      }
+
+      if (!display.stopped) scheduleNext();
+    };
+
+    // Wake up just after each period boundary so the display never shows a stale code
+    const scheduleNext = () => {
+      const delay = periodMs - (Date.now() % periodMs) + 250;
+      display.timer = setTimeout(() => {
+        display.refreshing = refresh();
+      }, delay);
+    };
+
+    scheduleNext();
+  }
+
+  async handleRotatingCodeButton(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.STAFF;
+    const userDisplayName = getExecutorUsername(interaction);
+
+    if (!checkPermissions(interaction, permissionLevel)) {
+      logger.warn('[STOP ROTATING CODE FAILED] Unauthorized access attempt', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'show-rotating-code' },
+      });
+      await interaction.reply({ content: 'You do not have permission to stop this display.', flags: ['Ephemeral'] });
+      return;
+    }
+
+    const display = this.rotatingDisplays.get(interaction.message.id);
+    if (display) {
+      display.stopped = true;
+      clearTimeout(display.timer);
+      this.rotatingDisplays.delete(interaction.message.id);
+    }
+
+    // A refresh edit already sent to Discord would land after ours and show the code again
+    await interaction.deferUpdate();
+    await display?.refreshing;
+
+    await interaction.editReply({ 
+      content: `⏹️ Live code display${display ? ` for **${display.event.eventName}**` : ''} stopped by ${userDisplayName}.`, 
+      files: [], 
+      attachments: [], 
+      components: [] 
+    });
+
+    logger.info('[STOP ROTATING CODE SUCCESS] Live code display stopped', {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username,
+        userDisplayName 
+      },
+      command: { name: 'show-rotating-code' },
+      options: { messageId: interaction.message.id, eventCode: display?.event.eventCode },
+    });
+  }
+
+  /**
+   * Reads the event-type option and matches it against the Points System sheet.
+   * Autocomplete only suggests types, so a typed-in one can still be unknown.
+   * @returns {Promise<Object|null>} { eventType } (null when the option is blank), or null after replying that the type is unknown
+   */
+  async getEventTypeOption(interaction, commandName, permissionLevel) {
+    const value = interaction.options.getString('event-type');
+    if (!value) return { eventType: null };
+
+    const eventType = findEventType(value, await this.storage.getPointTypes());
+    if (eventType) return { eventType };
+
+    logger.warn(`[${commandName.toUpperCase().replace(/-/g, ' ')} FAILED] Unknown event type`, {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username,
+        userDisplayName: getExecutorUsername(interaction)
+      },
+      command: { name: commandName },
+      options: { eventType: value },
+    });
+    await interaction.reply({ 
+      content: `"${value}" is not an event type. Pick one from the list, or ask an admin to add it with \`/point-system add\`.`, 
+      flags: ['Ephemeral'] 
+    });
+    return null;
+  }
+
+  async handleEventTypeAutocomplete(interaction) {
+    const query = interaction.options.getFocused().toLowerCase();
+    const pointTypes = await this.storage.getPointTypes();
+
+    const choices = pointTypes
+      .filter(({ eventType }) => !query || eventType.toLowerCase().includes(query))
+      .slice(0, 25)
+      .map(({ eventType, points }) => ({ name: `${eventType} (${isNaN(points) ? 0 : points} pts)`.substring(0, 100), value: eventType }));
+
+    await interaction.respond(choices);
   }
 
-  async writeSheetData(sheetName, sheetType, rows) {
-    try {
-      if (!this.sheets) await this.authenticate();
-      
-      await this.sheets.spreadsheets.values.update({
-        spreadsheetId: CONFIG.GOOGLE_SHEETS.SPREADSHEET_ID,
-        range: getSheetRange(sheetName, sheetType),
-        valueInputOption: 'RAW',
-        requestBody: { values: rows },
-      });
-      
-      logger.info('Sheet data updated successfully', { sheetName, sheetType });
-    } catch (error) {
-      logger.error('Failed to write sheet data', { 
-        error: error.message,
-        sheetName,
-        sheetType
-      });
-      throw error;
+  /**
+   * Suggests recent events by code or name
+   * @param {Interaction} interaction - Autocomplete interaction
+   * @param {Function} [valueOf] - Maps an event to the option value (its code by default)
+   */
+  async handleEventAutocomplete(interaction, valueOf = event => event.eventCode) {
+    // Event codes are the attendance secret, so only staff get suggestions
+    if (!checkPermissions(interaction, PERMISSION_LEVELS.STAFF)) {
+      await interaction.respond([]);
+      return;
     }
-  }
-}
 
+    const query = interaction.options.getFocused().toLowerCase();
+    const events = await this.storage.getEvents();
 
-// ============================================================================
-// COMMAND HANDLERS
-// ============================================================================
-class CommandHandlers {
-  constructor(sheetsService) {
-    this.sheetsService = sheetsService;
+    const choices = events
+      .filter(event => event.eventCode)
+      .filter(event => !query ||
+        event.eventCode.toLowerCase().includes(query) ||
+        event.eventName.toLowerCase().includes(query))
+      .sort((a, b) => (parseDate(b.date) || '').localeCompare(parseDate(a.date) || ''))
+      .slice(0, 25) // Discord allows at most 25 choices
+      .map(event => ({
+        name: `${event.date} · ${event.eventName} (${event.eventCode})`.substring(0, 100),
+        value: valueOf(event).substring(0, 100)
+      }));
+
+    await interaction.respond(choices);
   }
 
-  async handleViewLeaderboard(interaction) {
+  async handleShowPointSystem(interaction) {
     const permissionLevel = PERMISSION_LEVELS.USER;
     
     try {
@@ -357,661 +6655,1194 @@ class CommandHandlers {
       
       // Check permissions (user commands always pass)
       if (!checkPermissions(interaction, permissionLevel)) {
-        logger.warn('[LEADERBOARD FAILED] Unauthorized access attempt', {
+        logger.warn('[SHOW POINT SYSTEM FAILED] Unauthorized access attempt', {
           permissionLevel,
           executor: { 
             discord_id: interaction.user.id, 
             username: interaction.user.username,
             userDisplayName 
           },
-          command: { name: 'view-leaderboard' },
+          command: { name: 'show-point-system' },
         });
         await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
         return;
       }
 
-      const rows = await this.sheetsService.fetchSheetData(CONFIG.GOOGLE_SHEETS.POINTS_SHEET, 'POINTS');
+      // Fetch point system data
+      const pointTypes = await this.storage.getPointTypes();
       
-      if (rows.length <= 1) {
-        logger.info('[LEADERBOARD EMPTY] No data found', {
-          permissionLevel,
-          executor: { 
-            discord_id: interaction.user.id, 
-            username: interaction.user.username, 
-            userDisplayName 
-          },
-          command: { name: 'view-leaderboard' },
-        });
-        await interaction.reply('No leaderboard data available.');
-        return;
-      }
-
-      const headers = rows[0];
-      const firstNameIndex = getColumnIndex('POINTS', SHEET_COLUMNS.POINTS.FIRST_NAME);
-      const lastNameIndex = getColumnIndex('POINTS', SHEET_COLUMNS.POINTS.LAST_NAME);
-      const pointsIndex = getColumnIndex('POINTS', SHEET_COLUMNS.POINTS.POINTS);
-      const anonymousIndex = getColumnIndex('POINTS', SHEET_COLUMNS.POINTS.ANONYMOUS);
-
-      // Process and sort data by points (descending)
-      const processedData = rows.slice(1)
-        .filter(row => row[pointsIndex] && !isNaN(row[pointsIndex])) // Only rows with valid points
-        .map(row => {
-          const firstName = row[firstNameIndex] || '';
-          const lastName = row[lastNameIndex] || '';
-          const fullName = `${firstName} ${lastName}`.trim() || 'Unknown';
-          
-          return {
-            name: isAnonymous(row[anonymousIndex]) ? 'Anonymous' : fullName,
-            points: parseInt(row[pointsIndex]) || 0,
-            originalName: fullName
-          };
-        })
-        .sort((a, b) => b.points - a.points)
-        .slice(0, 15); // Top 15
-
-      if (processedData.length === 0) {
-        logger.info('[LEADERBOARD EMPTY / INVALID] No valid data found', {
+      if (pointTypes.length === 0) {
+        logger.info('[SHOW POINT SYSTEM EMPTY] No point system data found', {
           permissionLevel,
           executor: { 
             discord_id: interaction.user.id, 
-            username: interaction.user.username, 
+            username: interaction.user.username,
             userDisplayName 
           },
-          command: { name: 'view-leaderboard' },
+          command: { name: 'show-point-system' },
         });
-        await interaction.reply('No valid leaderboard data available.');
+        await interaction.reply('No point system data available.');
         return;
       }
 
-      let leaderboardText = '```\n🏆 LEADERBOARD - TOP 15 🏆\n\n';
-      leaderboardText += 'Rank | Name                    | Points\n';
-      leaderboardText += '-----|-------------------------|----------\n';
+      // Build the point system table
+      let pointSystemText = '```\n🎯 POINT SYSTEM\n\n';
+      pointSystemText += 'Event Type                | Points\n';
+      pointSystemText += '--------------------------|--------\n';
       
-      processedData.forEach((row, index) => {
-        const rank = (index + 1).toString().padStart(2, ' ');
-        const name = row.name.padEnd(23, ' ').substring(0, 23);
-        const points = Number(row.points).toLocaleString().padStart(8, ' ');
-        leaderboardText += `${rank}   | ${name} | ${points}\n`;
+      pointTypes.forEach(pointType => {
+        const eventType = (pointType.eventType || 'Unknown').padEnd(25, ' ').substring(0, 25);
+        const points = (isNaN(pointType.points) ? 0 : pointType.points).toString().padStart(6, ' ');
+        pointSystemText += `${eventType} | ${points}\n`;
       });
       
-      leaderboardText += '```';
+      pointSystemText += '```';
       
-      await interaction.reply(leaderboardText);
+      await interaction.reply(pointSystemText);
       
-      logger.info('[LEADERBOARD SUCCESS] Leaderboard generated', {
+      logger.info('[SHOW POINT SYSTEM SUCCESS] Point system displayed', {
         permissionLevel,
         executor: { 
           discord_id: interaction.user.id, 
-          username: interaction.user.username, 
+          username: interaction.user.username,
           userDisplayName 
         },
-        command: { name: 'view-leaderboard' },
-        results: { count: processedData.length },
+        command: { name: 'show-point-system' },
+        results: { count: pointTypes.length }
       });
+      
     } catch (error) {
-      logger.error('Error handling view-leaderboard command', {
+      logger.error('Error handling show-point-system command', {
         permissionLevel,
         executor: { 
           discord_id: interaction.user.id, 
           username: interaction.user.username,
           userDisplayName: getExecutorUsername(interaction)
         },
-        command: { name: 'view-leaderboard' },
+        command: { name: 'show-point-system' },
         error: error.message,
       });
-      await interaction.reply('An error occurred while generating the leaderboard.');
+      await interaction.reply('An error occurred while retrieving the point system.');
     }
   }
 
-  async handleMembershipLogs(interaction) {
+  async handlePointSystem(interaction) {
     const permissionLevel = PERMISSION_LEVELS.ADMIN;
-    
+
     try {
-      const action = interaction.options.getString('action');
-      const lines = interaction.options.getInteger('lines') || 10;
-      const date = interaction.options.getString('date') || moment().format('YYYY-MM-DD');
+      const subcommand = interaction.options.getSubcommand();
       const userDisplayName = getExecutorUsername(interaction);
 
       // Check permissions
       if (!checkPermissions(interaction, permissionLevel)) {
-        logger.warn('[LOGS FAILED] Unauthorized access attempt', {
+        logger.warn('[POINT SYSTEM FAILED] Unauthorized access attempt', {
           permissionLevel,
           executor: { 
             discord_id: interaction.user.id, 
-            username: interaction.user.username, 
+            username: interaction.user.username,
             userDisplayName 
           },
-          command: { name: 'membership-logs' },
-          options: { action, lines, date },
+          command: { name: 'point-system' },
+          options: { subcommand },
         });
         await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
         return;
       }
 
-      const logFilePath = path.resolve(__dirname, `logs/bot-${date}.log`);
-
-      switch (action) {
-        case 'view':
-          await this.handleLogView(interaction, logFilePath, lines, date, userDisplayName, permissionLevel);
+      switch (subcommand) {
+        case 'add':
+          await this.handlePointSystemAdd(interaction, userDisplayName, permissionLevel);
           break;
-        case 'download':
-          await this.handleLogDownload(interaction, logFilePath, date, userDisplayName, permissionLevel);
+        case 'edit':
+          await this.handlePointSystemEdit(interaction, userDisplayName, permissionLevel);
+          break;
+        case 'remove':
+          await this.handlePointSystemRemove(interaction, userDisplayName, permissionLevel);
           break;
       }
     } catch (error) {
-      logger.error('Error handling membership-logs command', {
+      logger.error('Error handling point-system command', {
         permissionLevel,
         executor: { 
           discord_id: interaction.user.id, 
           username: interaction.user.username,
           userDisplayName: getExecutorUsername(interaction)
         },
-        command: { name: 'membership-logs' },
+        command: { name: 'point-system' },
         error: error.message,
       });
-      await interaction.reply({ content: 'An error occurred while processing your logs command.', flags: ['Ephemeral'] });
+      const content = getStorageErrorMessage(error, 'An error occurred while updating the point system.');
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+      }
     }
   }
 
-  async handleLogView(interaction, logFilePath, lines, date, userDisplayName, permissionLevel) {
-    if (!fs.existsSync(logFilePath)) {
-      logger.warn('[LOGS VIEW FAILED] File not found', {
+  /**
+   * Checks a new event type name against the existing types
+   * @returns {string|null} Why the name can't be used, or null if it can
+   */
+  validateEventTypeName(name, pointTypes, ignoredType = null) {
+    // Event types ride along in leaderboard button IDs, which use "|" and ":" as separators
+    if (!name || /[|:]/.test(name) || name.length > 25) {
+      return 'Event type names must be 1-25 characters and cannot contain `|` or `:`.';
+    }
+    const existingType = findEventType(name, pointTypes);
+    if (existingType && existingType !== ignoredType) {
+      return `An event type named **${existingType}** already exists.`;
+    }
+    return null;
+  }
+
+  async handlePointSystemAdd(interaction, userDisplayName, permissionLevel) {
+    const eventType = interaction.options.getString('name').trim();
+    const points = interaction.options.getNumber('points');
+    const problem = this.validateEventTypeName(eventType, await this.storage.getPointTypes());
+
+    if (problem) {
+      logger.warn('[POINT SYSTEM ADD FAILED] Event type cannot be added', {
         permissionLevel,
         executor: { 
           discord_id: interaction.user.id, 
-          username: interaction.user.username, 
+          username: interaction.user.username,
           userDisplayName 
         },
-        command: { name: 'membership-logs' },
-        options: { action: 'view', lines, date },
+        command: { name: 'point-system' },
+        options: { subcommand: 'add', eventType, points },
+        reason: problem,
       });
-      await interaction.reply({ content: `No log file found for the specified date: ${date}.`, flags: ['Ephemeral'] });
+      await interaction.reply({ content: problem, flags: ['Ephemeral'] });
       return;
     }
 
-    const logData = fs.readFileSync(logFilePath, 'utf8').split('\n').slice(-lines).join('\n');
-    const content = `\`\`\`log\n${logData}\n\`\`\``;
+    await interaction.deferReply({ flags: ['Ephemeral'] });
 
-    if (content.length > 2000) {
-      await interaction.reply({ content: 'Log data is too large to display. Use the "Download" option.', flags: ['Ephemeral'] });
-    } else {
-      await interaction.reply({ content, flags: ['Ephemeral'] });
+    const added = { eventType, points };
+    await this.storage.updatePointTypes(current => {
+      // Someone else added the same type since the check above
+      if (findEventType(eventType, current)) {
+        throw new SheetConflictError(CONFIG.GOOGLE_SHEETS.TYPES_SHEET);
+      }
+      return [...current, added];
+    });
+
+    logger.info('[POINT SYSTEM ADD SUCCESS] Event type added', {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username,
+        userDisplayName 
+      },
+      command: { name: 'point-system' },
+      options: { subcommand: 'add' },
+      after: added,
+    });
+
+    await interaction.editReply({ content: `✅ Added the **${eventType}** event type worth ${points} point(s). It can now be picked in \`/add-event\`.` });
+
+    // Events already typed this way were counted at the default point value
+    this.attendanceProcessor.updatePoints('point-system').catch(() => {});
+  }
+
+  async handlePointSystemEdit(interaction, userDisplayName, permissionLevel) {
+    const eventTypeInput = interaction.options.getString('event-type');
+    const newName = interaction.options.getString('name')?.trim();
+    const points = interaction.options.getNumber('points');
+    const pointTypes = await this.storage.getPointTypes();
+    const eventType = findEventType(eventTypeInput, pointTypes);
+
+    let problem = null;
+    if (!eventType) {
+      problem = `"${eventTypeInput}" is not in the point system.`;
+    } else if (!newName && points === null) {
+      problem = 'Nothing to change. Set a new `name`, new `points`, or both.';
+    } else if (newName) {
+      problem = this.validateEventTypeName(newName, pointTypes, eventType);
     }
 
-    logger.info('[LOGS VIEW SUCCESS] Logs viewed', {
+    if (problem) {
+      logger.warn('[POINT SYSTEM EDIT FAILED] Event type cannot be edited', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'point-system' },
+        options: { subcommand: 'edit', eventType: eventTypeInput, name: newName, points },
+        reason: problem,
+      });
+      await interaction.reply({ content: problem, flags: ['Ephemeral'] });
+      return;
+    }
+
+    await interaction.deferReply({ flags: ['Ephemeral'] });
+
+    const logFailure = (message, error, results) => logger.error(`[POINT SYSTEM EDIT FAILED] ${message}`, {
       permissionLevel,
       executor: { 
         discord_id: interaction.user.id, 
-        username: interaction.user.username, 
+        username: interaction.user.username,
         userDisplayName 
       },
-      command: { name: 'membership-logs' },
-      options: { action: 'view', lines, date },
+      command: { name: 'point-system' },
+      options: { subcommand: 'edit', eventType, name: newName, points },
+      results,
+      error: error.message,
+    });
+
+    // Events keep earning points under the new name. They are moved first so a failure part way
+    // leaves either nothing changed or events that can be moved back, never a renamed type whose
+    // events still use the old name
+    const renamedKeys = new Set();
+    if (newName && newName !== eventType) {
+      try {
+        await this.storage.updateEvents(events => {
+          renamedKeys.clear();
+          return events.map(event => {
+            if (event.eventType !== eventType) return event;
+            renamedKeys.add(getEventKey(event));
+            return { ...event, eventType: newName };
+          });
+        });
+      } catch (error) {
+        logFailure('Events could not be moved to the new name', error, { renamedEvents: 0 });
+        await interaction.editReply({ 
+          content: getStorageErrorMessage(error, `❌ Could not move the **${eventType}** events to the new name, so nothing was changed. Please try again.`) 
+        });
+        return;
+      }
+    }
+
+    let before = null;
+    let after = null;
+    try {
+      await this.storage.updatePointTypes(current => {
+        before = current.find(pointType => pointType.eventType === eventType);
+        // Removed or renamed by someone else since the check above
+        if (!before) throw new SheetConflictError(CONFIG.GOOGLE_SHEETS.TYPES_SHEET);
+        after = { eventType: newName || before.eventType, points: points ?? before.points };
+        return current.map(pointType => pointType === before ? after : pointType);
+      });
+    } catch (error) {
+      if (renamedKeys.size === 0) throw error;
+
+      let movedBack = true;
+      try {
+        await this.storage.updateEvents(events => events.map(event =>
+          renamedKeys.has(getEventKey(event)) && event.eventType === newName ? { ...event, eventType } : event));
+      } catch (rollbackError) {
+        movedBack = false;
+        logFailure('Events could not be moved back to the old name', rollbackError, { renamedEvents: renamedKeys.size });
+      }
+      logFailure('Event type could not be renamed', error, { renamedEvents: renamedKeys.size, movedBack });
+
+      await interaction.editReply({ 
+        content: movedBack
+          ? `${getStorageErrorMessage(error, `❌ Could not rename **${eventType}**.`)}\n` +
+            `Its ${renamedKeys.size} event(s) were moved back to **${eventType}**, so nothing was changed.`
+          : `⚠️ ${renamedKeys.size} event(s) were moved to **${newName}**, but renaming the **${eventType}** event type failed and the events could not be moved back. ` +
+            `Until the rename is finished they earn the default ${CONFIG.ATTENDANCE.DEFAULT_POINTS} point(s). ` +
+            `Run \`/point-system edit event-type:${eventType} name:${newName}\` again to finish it.`
+      });
+      return;
+    }
+    const renamedEvents = renamedKeys.size;
+
+    logger.info('[POINT SYSTEM EDIT SUCCESS] Event type edited', {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username,
+        userDisplayName 
+      },
+      command: { name: 'point-system' },
+      options: { subcommand: 'edit' },
+      before,
+      after,
+      results: { renamedEvents },
     });
+
+    let content = `✏️ **${before.eventType}** (${before.points} pts) is now **${after.eventType}** (${after.points} pts).`;
+    if (renamedEvents > 0) content += ` ${renamedEvents} event(s) were moved to the new name.`;
+    await interaction.editReply({ content });
+
+    this.attendanceProcessor.updatePoints('point-system').catch(() => {});
   }
 
-  async handleLogDownload(interaction, logFilePath, date, userDisplayName, permissionLevel) {
-    if (!fs.existsSync(logFilePath)) {
-      logger.warn('[LOGS DOWNLOAD FAILED] File not found', {
+  async handlePointSystemRemove(interaction, userDisplayName, permissionLevel) {
+    const eventTypeInput = interaction.options.getString('event-type');
+    const eventType = findEventType(eventTypeInput, await this.storage.getPointTypes());
+    const usedBy = eventType ? (await this.storage.getEvents()).filter(event => event.eventType === eventType) : [];
+
+    let problem = null;
+    if (!eventType) {
+      problem = `"${eventTypeInput}" is not in the point system.`;
+    } else if (usedBy.length > 0) {
+      // Removing it would quietly drop those events to the default point value
+      problem = `${usedBy.length} event(s) still use **${eventType}**. Change them with \`/edit-event\` first, or rename the type with \`/point-system edit\`.`;
+    }
+
+    if (problem) {
+      logger.warn('[POINT SYSTEM REMOVE FAILED] Event type cannot be removed', {
         permissionLevel,
         executor: { 
           discord_id: interaction.user.id, 
-          username: interaction.user.username, 
+          username: interaction.user.username,
           userDisplayName 
         },
-        command: { name: 'membership-logs' },
-        options: { action: 'download', date },
+        command: { name: 'point-system' },
+        options: { subcommand: 'remove', eventType: eventTypeInput },
+        reason: problem,
       });
-      await interaction.reply({ content: `No log file found for the specified date: ${date}.`, flags: ['Ephemeral'] });
+      await interaction.reply({ content: problem, flags: ['Ephemeral'] });
       return;
     }
 
-    await interaction.reply({ content: `Here are the logs for ${date}:`, files: [logFilePath], flags: ['Ephemeral'] });
+    await interaction.deferReply({ flags: ['Ephemeral'] });
 
-    logger.info('[LOGS DOWNLOAD SUCCESS] Logs downloaded', {
+    let before = null;
+    await this.storage.updatePointTypes(current => {
+      before = current.find(pointType => pointType.eventType === eventType);
+      if (!before) throw new SheetConflictError(CONFIG.GOOGLE_SHEETS.TYPES_SHEET);
+      return current.filter(pointType => pointType !== before);
+    });
+
+    logger.info('[POINT SYSTEM REMOVE SUCCESS] Event type removed', {
       permissionLevel,
       executor: { 
         discord_id: interaction.user.id, 
-        username: interaction.user.username, 
+        username: interaction.user.username,
         userDisplayName 
       },
-      command: { name: 'membership-logs' },
-      options: { action: 'download', date },
+      command: { name: 'point-system' },
+      options: { subcommand: 'remove' },
+      before,
     });
+
+    await interaction.editReply({ content: `🗑️ Removed the **${eventType}** event type from the point system.` });
   }
 
-  async handleAddEvent(interaction) {
+  async handleRecalculatePoints(interaction) {
     const permissionLevel = PERMISSION_LEVELS.STAFF;
+
+    try {
+      const userDisplayName = getExecutorUsername(interaction);
+
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[RECALCULATE POINTS FAILED] Unauthorized access attempt', {
+          permissionLevel,
+          executor: { 
+            discord_id: interaction.user.id, 
+            username: interaction.user.username,
+            userDisplayName 
+          },
+          command: { name: 'recalculate-points' },
+        });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
+        return;
+      }
+
+      // Recalculation reads several sheets, so acknowledge the interaction first
+      await interaction.deferReply({ flags: ['Ephemeral'] });
+
+      const summary = await this.attendanceProcessor.updatePoints('command');
+
+      await interaction.editReply({
+        content: `✅ Points recalculated!\n` +
+                 `📝 Submissions processed: ${summary.submissions}\n` +
+                 `✔️ Accepted check-ins: ${summary.accepted}\n` +
+                 `👥 Members updated: ${summary.members}`
+      });
+
+      logger.info('[RECALCULATE POINTS SUCCESS] Points recalculated on demand', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'recalculate-points' },
+        results: summary
+      });
+
+    } catch (error) {
+      logger.error('Error handling recalculate-points command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'recalculate-points' },
+        error: error.message,
+      });
+      const content = getStorageErrorMessage(error, 'An error occurred while recalculating points.');
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+      }
+    }
+  }
+
+  async handleAdjustPoints(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.ADMIN;
     
     try {
       const userDisplayName = getExecutorUsername(interaction);
+      const netIdInput = interaction.options.getString('netid');
+      const amount = interaction.options.getNumber('amount');
+      const reason = interaction.options.getString('reason').trim();
       
       // Check permissions
       if (!checkPermissions(interaction, permissionLevel)) {
-        logger.warn('[ADD EVENT FAILED] Unauthorized access attempt', {
+        logger.warn('[ADJUST POINTS FAILED] Unauthorized access attempt', {
           permissionLevel,
           executor: { 
             discord_id: interaction.user.id, 
             username: interaction.user.username,
             userDisplayName 
           },
-          command: { name: 'add-event' },
+          command: { name: 'adjust-points' },
+          options: { netId: netIdInput, amount, reason },
         });
         await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
         return;
       }
 
-      // Get all command options
-      const eventName = interaction.options.getString('event-name');
-      const dateStr = interaction.options.getString('date');
-      const startTimeStr = interaction.options.getString('start-time');
-      const endTimeStr = interaction.options.getString('end-time');
-      const eventType = interaction.options.getString('event-type');
-      const eventCode = interaction.options.getString('event-code');
+      const netId = normalizeNetId(netIdInput);
 
-      // Validate date format
-      const parsedDate = parseDate(dateStr);
-      if (!parsedDate) {
-        logger.warn('[ADD EVENT FAILED] Invalid date format', {
-          permissionLevel,
-          executor: { 
-            discord_id: interaction.user.id, 
-            username: interaction.user.username,
-            userDisplayName 
-          },
-          command: { name: 'add-event' },
-          options: { eventName, date: dateStr, eventType, eventCode }
-        });
-        await interaction.reply({ 
-          content: `Invalid date format: "${dateStr}". Please use a common format like MM/DD/YY, MM/DD/YYYY, or YYYY-MM-DD.`, 
-          flags: ['Ephemeral'] 
-        });
-        return;
+      let problem = null;
+      if (!netId) {
+        problem = `"${netIdInput}" is not a valid NetID.`;
+      } else if (amount === 0) {
+        problem = 'The amount cannot be zero. Use a negative amount to take points away.';
+      } else if (!reason || reason.length > 200) {
+        problem = 'Please give a reason of at most 200 characters; members see it in `/my-points`.';
       }
 
-      // Validate time formats
-      const parsedStartTime = parseTime(startTimeStr);
-      if (!parsedStartTime) {
-        logger.warn('[ADD EVENT FAILED] Invalid start time format', {
+      if (problem) {
+        logger.warn('[ADJUST POINTS FAILED] Invalid adjustment', {
           permissionLevel,
           executor: { 
             discord_id: interaction.user.id, 
             username: interaction.user.username,
             userDisplayName 
           },
-          command: { name: 'add-event' },
-          options: { eventName, date: parsedDate, startTime: startTimeStr, eventType, eventCode }
-        });
-        await interaction.reply({ 
-          content: `Invalid start time format: "${startTimeStr}". Please use a common format like 3pm, 3:30pm, or 15:30.`, 
-          flags: ['Ephemeral'] 
+          command: { name: 'adjust-points' },
+          options: { netId: netIdInput, amount, reason },
+          reason: problem,
         });
+        await interaction.reply({ content: problem, flags: ['Ephemeral'] });
         return;
       }
 
-      const parsedEndTime = parseTime(endTimeStr);
-      if (!parsedEndTime) {
-        logger.warn('[ADD EVENT FAILED] Invalid end time format', {
-          permissionLevel,
-          executor: { 
-            discord_id: interaction.user.id, 
-            username: interaction.user.username,
-            userDisplayName 
-          },
-          command: { name: 'add-event' },
-          options: { eventName, date: parsedDate, startTime: parsedStartTime, endTime: endTimeStr, eventType, eventCode }
-        });
-        await interaction.reply({ 
-          content: `Invalid end time format: "${endTimeStr}". Please use a common format like 5pm, 5:30pm, or 17:30.`, 
-          flags: ['Ephemeral'] 
-        });
-        return;
-      }
+      await interaction.deferReply({ flags: ['Ephemeral'] });
 
-      // Validate that start time is before end time
-      if (!isTimeAfter(parsedStartTime, parsedEndTime)) {
-        logger.warn('[ADD EVENT FAILED] End time must be after start time', {
+      // A NetID nobody has used yet is allowed (e.g. a volunteer who never checked in) but is likely a typo
+      const isKnownMember = (await this.storage.getMemberRecords()).some(record => record.netId.trim().toLowerCase() === netId) ||
+                            (await this.storage.getDiscordLinks()).some(link => link.netId === netId);
+
+      const adjustment = {
+        timestamp: getCurrentTimestamp(),
+        netId,
+        amount,
+        reason,
+        adjustedBy: userDisplayName
+      };
+      await this.storage.addPointAdjustment(adjustment);
+
+      // Points Record is rebuilt from scratch, so the adjustment has to go through a recalculation.
+      // The adjustment is already saved at this point, so a failed recalculation must not read as a
+      // failed adjustment: running the command again would award the points twice
+      let record = null;
+      let recalculated = true;
+      try {
+        await this.attendanceProcessor.updatePoints('adjust-points');
+        record = (await this.storage.getMemberRecords()).find(existing => existing.netId.trim().toLowerCase() === netId);
+      } catch (error) {
+        recalculated = false;
+        logger.error('[ADJUST POINTS PENDING] Adjustment saved but recalculation failed', {
           permissionLevel,
           executor: { 
             discord_id: interaction.user.id, 
             username: interaction.user.username,
             userDisplayName 
           },
-          command: { name: 'add-event' },
-          options: { eventName, date: parsedDate, startTime: parsedStartTime, endTime: parsedEndTime, eventType, eventCode }
-        });
-        await interaction.reply({ 
-          content: `End time (${parsedEndTime}) must be after start time (${parsedStartTime}).`, 
-          flags: ['Ephemeral'] 
+          command: { name: 'adjust-points' },
+          after: adjustment,
+          error: error.message,
         });
-        return;
       }
 
-      // Fetch existing sheet data
-      const rows = await this.sheetsService.fetchSheetData(CONFIG.GOOGLE_SHEETS.EVENTS_SHEET, 'EVENTS');
-      
-      // Build the new row
-      const newRow = [
-        parsedDate,
-        parsedStartTime,
-        parsedEndTime,
-        eventName,
-        eventType,
-        eventCode
-      ];
-      
-      // Add the new row
-      rows.push(newRow);
-      
-      // Write back to sheet
-      await this.sheetsService.writeSheetData(CONFIG.GOOGLE_SHEETS.EVENTS_SHEET, 'EVENTS', rows);
-      
-      logger.info('[ADD EVENT SUCCESS] Event added successfully', {
+      logger.info('[ADJUST POINTS SUCCESS] Points adjusted', {
         permissionLevel,
         executor: { 
           discord_id: interaction.user.id, 
           username: interaction.user.username,
           userDisplayName 
         },
-        command: { name: 'add-event' },
-        options: { 
-          eventName, 
-          date: parsedDate, 
-          startTime: parsedStartTime, 
-          endTime: parsedEndTime, 
-          eventType, 
-          eventCode 
-        }
+        command: { name: 'adjust-points' },
+        after: adjustment,
+        results: { points: record ? record.points : null, isKnownMember, recalculated },
       });
 
-      await interaction.reply({ 
-        content: `✅ Event "${eventName}" added successfully!\n` +
-                 `📅 Date: ${parsedDate}\n` +
-                 `🕐 Time: ${parsedStartTime} - ${parsedEndTime}\n` +
-                 `📋 Type: ${eventType}\n` +
-                 `🔑 Code: ${eventCode}`,
-        flags: ['Ephemeral']
-      });
+      let content = `✅ ${amount > 0 ? 'Added' : 'Removed'} ${Math.abs(amount)} point(s) ${amount > 0 ? 'to' : 'from'} \`${netId}\` for "${reason}".`;
+      if (record) content += `\n⭐ New total: ${record.points.toLocaleString()} point(s)`;
+      if (!recalculated) {
+        content += '\n⏳ The adjustment was saved, but totals could not be recalculated right now. ' +
+                   'They will update on the next recalculation; do not run this command again.';
+      }
+      if (!isKnownMember) content += `\n⚠️ \`${netId}\` has no attendance or linked Discord account yet. Double-check the NetID.`;
+      await interaction.editReply({ content });
       
     } catch (error) {
-      logger.error('Error handling add-event command', {
+      logger.error('Error handling adjust-points command', {
         permissionLevel,
         executor: { 
           discord_id: interaction.user.id, 
           username: interaction.user.username,
           userDisplayName: getExecutorUsername(interaction)
         },
-        command: { name: 'add-event' },
+        command: { name: 'adjust-points' },
         error: error.message,
       });
-      await interaction.reply({ content: 'An error occurred while adding the event.', flags: ['Ephemeral'] });
+      const content = getStorageErrorMessage(error, 'An error occurred while adjusting points.');
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+      }
     }
   }
 
-  async handleShowEventList(interaction) {
-    const permissionLevel = PERMISSION_LEVELS.STAFF;
-    
+  async handleDigest(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.ADMIN;
+
     try {
+      const subcommand = interaction.options.getSubcommand();
       const userDisplayName = getExecutorUsername(interaction);
-      const numberOfEvents = interaction.options.getInteger('number-of-events');
-      
+
       // Check permissions
       if (!checkPermissions(interaction, permissionLevel)) {
-        logger.warn('[SHOW EVENT LIST FAILED] Unauthorized access attempt', {
+        logger.warn('[DIGEST FAILED] Unauthorized access attempt', {
           permissionLevel,
           executor: { 
             discord_id: interaction.user.id, 
             username: interaction.user.username,
             userDisplayName 
           },
-          command: { name: 'show-event-list' },
+          command: { name: 'digest' },
+          options: { subcommand },
         });
         await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
         return;
       }
 
-      // Fetch events data
-      const rows = await this.sheetsService.fetchSheetData(CONFIG.GOOGLE_SHEETS.EVENTS_SHEET, 'EVENTS');
-      
-      if (rows.length <= 1) {
-        logger.info('[SHOW EVENT LIST EMPTY] No events found', {
+      switch (subcommand) {
+        case 'configure':
+          await this.handleDigestConfigure(interaction, userDisplayName, permissionLevel);
+          break;
+        case 'pause':
+        case 'resume':
+          await this.handleDigestPause(interaction, userDisplayName, permissionLevel, subcommand === 'pause');
+          break;
+        case 'trigger':
+          await this.handleDigestTrigger(interaction, userDisplayName, permissionLevel);
+          break;
+      }
+    } catch (error) {
+      logger.error('Error handling digest command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'digest' },
+        error: error.message,
+      });
+      const content = getStorageErrorMessage(error, 'An error occurred while updating the leaderboard digest.');
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+      }
+    }
+  }
+
+  describeDigestSettings(settings) {
+    return `📢 Channel: ${settings.channelId ? `<#${settings.channelId}>` : 'not set'}\n` +
+           `🕒 Schedule: \`${settings.schedule}\` (${CONFIG.TIMEZONE})\n` +
+           `🏆 Places shown: ${settings.size}\n` +
+           `${settings.paused ? '⏸️ Paused' : '▶️ Running'}`;
+  }
+
+  async handleDigestConfigure(interaction, userDisplayName, permissionLevel) {
+    const channel = interaction.options.getChannel('channel');
+    const schedule = interaction.options.getString('schedule')?.trim();
+    const size = interaction.options.getInteger('size');
+
+    const changes = {};
+    if (channel) changes['digest.channelId'] = channel.id;
+    if (schedule) changes['digest.schedule'] = schedule;
+    if (size) changes['digest.size'] = size;
+
+    const before = await this.digest.getSettings();
+
+    // Without options, just show what is configured
+    if (Object.keys(changes).length === 0) {
+      await interaction.reply({ content: this.describeDigestSettings(before), flags: ['Ephemeral'] });
+      return;
+    }
+
+    if (schedule && !cron.validate(schedule)) {
+      logger.warn('[DIGEST CONFIGURE FAILED] Invalid schedule', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'digest' },
+        options: { subcommand: 'configure', schedule },
+      });
+      await interaction.reply({ 
+        content: `\`${schedule}\` is not a valid cron schedule. For example, \`0 18 * * 0\` posts every Sunday at 6 PM.`, 
+        flags: ['Ephemeral'] 
+      });
+      return;
+    }
+
+    await interaction.deferReply({ flags: ['Ephemeral'] });
+    await this.storage.updateSettings(changes);
+    await this.digest.start();
+    const after = await this.digest.getSettings();
+
+    logger.info('[DIGEST CONFIGURE SUCCESS] Digest settings updated', {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username,
+        userDisplayName 
+      },
+      command: { name: 'digest' },
+      options: { subcommand: 'configure' },
+      before,
+      after,
+    });
+
+    await interaction.editReply({ content: `✅ Leaderboard digest updated.\n${this.describeDigestSettings(after)}` });
+  }
+
+  async handleDigestPause(interaction, userDisplayName, permissionLevel, paused) {
+    await interaction.deferReply({ flags: ['Ephemeral'] });
+
+    await this.storage.updateSettings({ 'digest.paused': paused });
+    await this.digest.start();
+    const settings = await this.digest.getSettings();
+
+    logger.info(`[DIGEST ${paused ? 'PAUSE' : 'RESUME'} SUCCESS] Digest ${paused ? 'paused' : 'resumed'}`, {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username,
+        userDisplayName 
+      },
+      command: { name: 'digest' },
+      options: { subcommand: paused ? 'pause' : 'resume' },
+      after: settings,
+    });
+
+    await interaction.editReply({ 
+      content: paused
+        ? '⏸️ Scheduled leaderboard digests are paused. `/digest trigger` still posts one on demand.'
+        : `▶️ Scheduled leaderboard digests resumed.\n${this.describeDigestSettings(settings)}`
+    });
+  }
+
+  async handleDigestTrigger(interaction, userDisplayName, permissionLevel) {
+    // Posting recalculates points first, so acknowledge the interaction
+    await interaction.deferReply({ flags: ['Ephemeral'] });
+
+    let results;
+    try {
+      results = await this.digest.post('command');
+    } catch (error) {
+      logger.warn('[DIGEST TRIGGER FAILED] Digest could not be posted', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'digest' },
+        options: { subcommand: 'trigger' },
+        reason: error.message,
+      });
+      await interaction.editReply({ 
+        content: getStorageErrorMessage(error, `Could not post the digest: ${error.message}. Use \`/digest configure channel:\` to set where it goes.`) 
+      });
+      return;
+    }
+
+    logger.info('[DIGEST TRIGGER SUCCESS] Digest posted on demand', {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username,
+        userDisplayName 
+      },
+      command: { name: 'digest' },
+      options: { subcommand: 'trigger' },
+      results,
+    });
+
+    await interaction.editReply({ content: `📰 Leaderboard digest posted in <#${results.channelId}>.` });
+  }
+
+  async handleCache(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.ADMIN;
+
+    try {
+      const subcommand = interaction.options.getSubcommand();
+      const userDisplayName = getExecutorUsername(interaction);
+
+      // Check permissions
+      if (!checkPermissions(interaction, permissionLevel)) {
+        logger.warn('[CACHE FAILED] Unauthorized access attempt', {
           permissionLevel,
           executor: { 
             discord_id: interaction.user.id, 
             username: interaction.user.username,
             userDisplayName 
           },
-          command: { name: 'show-event-list' },
+          command: { name: 'cache' },
+          options: { subcommand },
         });
-        await interaction.reply({ content: 'No events available.', flags: ['Ephemeral'] });
+        await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
         return;
       }
 
-      const headers = rows[0];
-      const dateIndex = getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.DATE);
-      
-      // Sort events by most recent date
-      const eventData = rows.slice(1)
-        .map(row => ({
-          date: row[dateIndex] || '',
-          startTime: row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.START_TIME)] || '',
-          endTime: row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.END_TIME)] || '',
-          eventName: row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.EVENT_NAME)] || '',
-          eventType: row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.EVENT_TYPE)] || '',
-          eventCode: row[getColumnIndex('EVENTS', SHEET_COLUMNS.EVENTS.EVENT_CODE)] || '',
-          sortDate: moment(row[dateIndex], 'YYYY-MM-DD', true).isValid() 
-            ? moment(row[dateIndex], 'YYYY-MM-DD').valueOf() 
-            : 0
-        }))
-        .sort((a, b) => b.sortDate - a.sortDate);
-
-      // Limit to specified number or show all
-      const displayEvents = numberOfEvents ? eventData.slice(0, numberOfEvents) : eventData;
+      const stats = this.storage.getCacheStats();
+      const flushed = this.storage.flushCache();
 
-      if (displayEvents.length === 0) {
-        await interaction.reply({ content: 'No valid events to display.', flags: ['Ephemeral'] });
+      if (flushed === null) {
+        await interaction.reply({ content: 'The configured storage backend does not cache reads.', flags: ['Ephemeral'] });
         return;
       }
 
-      // Build table
-      let eventListText = '```\n';
-      eventListText += numberOfEvents 
-        ? `📅 RECENT EVENTS (Top ${numberOfEvents})\n\n`
-        : '📅 ALL EVENTS\n\n';
-      eventListText += 'Date       | Time                     | Event Name           | Type                  | Code\n';
-      eventListText += '-----------|--------------------------|----------------------|-----------------------|----------\n';
-      
-      displayEvents.forEach(event => {
-        const date = event.date.padEnd(10, ' ').substring(0, 10);
-        const time = `${event.startTime}-${event.endTime}`.padEnd(24, ' ').substring(0, 24);
-        const name = event.eventName.padEnd(20, ' ').substring(0, 20);
-        const type = event.eventType.padEnd(21, ' ').substring(0, 21);
-        const code = event.eventCode.padEnd(8, ' ').substring(0, 8);
-        eventListText += `${date} | ${time} | ${name} | ${type} | ${code}\n`;
-      });
-      
-      eventListText += '```';
-      
-      await interaction.reply({ content: eventListText, flags: ['Ephemeral'] });
-      
-      logger.info('[SHOW EVENT LIST SUCCESS] Event list displayed', {
+      logger.info('[CACHE FLUSH SUCCESS] Sheet cache flushed', {
         permissionLevel,
         executor: { 
           discord_id: interaction.user.id, 
           username: interaction.user.username,
           userDisplayName 
         },
-        command: { name: 'show-event-list' },
-        options: { numberOfEvents },
-        results: { count: displayEvents.length }
+        command: { name: 'cache' },
+        options: { subcommand },
+        results: { flushed, ...stats },
+      });
+
+      const lookups = stats.hits + stats.misses;
+      const hitRate = lookups > 0 ? Math.round((stats.hits / lookups) * 100) : 0;
+      await interaction.reply({ 
+        content: `🧹 Flushed ${flushed} cached sheet(s). The next reads will fetch fresh data.\n` +
+                 `📊 Since startup: ${stats.hits} hit(s), ${stats.misses} miss(es) (${hitRate}% hit rate)`, 
+        flags: ['Ephemeral'] 
       });
-      
     } catch (error) {
-      logger.error('Error handling show-event-list command', {
+      logger.error('Error handling cache command', {
         permissionLevel,
         executor: { 
           discord_id: interaction.user.id, 
           username: interaction.user.username,
           userDisplayName: getExecutorUsername(interaction)
         },
-        command: { name: 'show-event-list' },
+        command: { name: 'cache' },
         error: error.message,
       });
-      await interaction.reply({ content: 'An error occurred while retrieving the event list.', flags: ['Ephemeral'] });
+      await interaction.reply({ content: 'An error occurred while flushing the cache.', flags: ['Ephemeral'] });
     }
   }
 
-  async handleGetAttendanceQR(interaction) {
+  async handleRoleRewards(interaction) {
     const permissionLevel = PERMISSION_LEVELS.STAFF;
-    
+
     try {
+      const subcommand = interaction.options.getSubcommand();
       const userDisplayName = getExecutorUsername(interaction);
-      
+
       // Check permissions
       if (!checkPermissions(interaction, permissionLevel)) {
-        logger.warn('[GET ATTENDANCE QR FAILED] Unauthorized access attempt', {
+        logger.warn('[ROLE REWARDS FAILED] Unauthorized access attempt', {
           permissionLevel,
           executor: { 
             discord_id: interaction.user.id, 
             username: interaction.user.username,
             userDisplayName 
           },
-          command: { name: 'get-attendance-qr' },
+          command: { name: 'role-rewards' },
+          options: { subcommand },
         });
         await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
         return;
       }
 
-      const qrPath = path.resolve(__dirname, CONFIG.ASSETS.ATTENDANCE_QR_PATH);
-      
-      if (!fs.existsSync(qrPath)) {
-        logger.error('[GET ATTENDANCE QR FAILED] QR code file not found', {
-          permissionLevel,
-          executor: { 
-            discord_id: interaction.user.id, 
-            username: interaction.user.username,
-            userDisplayName 
-          },
-          command: { name: 'get-attendance-qr' },
-        });
-        await interaction.reply({ 
-          content: 'Attendance QR code file not found. Please contact an administrator.', 
-          flags: ['Ephemeral'] 
-        });
+      if (!this.roleRewards.isEnabled()) {
+        await interaction.reply({ content: 'No role rewards are configured. Set `ROLE_REWARDS` (e.g. `Active Member:50, Veteran:150`).', flags: ['Ephemeral'] });
         return;
       }
 
-      await interaction.reply({ 
-        content: '📱 **Attendance QR Code**', 
-        files: [qrPath],
-        flags: ['Ephemeral']
-      });
-      
-      logger.info('[GET ATTENDANCE QR SUCCESS] QR code sent', {
+      // Fetching members can take a while on a large server
+      await interaction.deferReply({ flags: ['Ephemeral'] });
+
+      const { changes, missingRoles } = await this.roleRewards.planChanges();
+
+      let content = '🔍 **Role rewards dry run** (nothing has been changed)\n' +
+                    `🎖️ Thresholds: ${CONFIG.ROLE_REWARDS.REWARDS.map(reward => `${reward.roleName} at ${reward.points} pts`).join(', ')}\n`;
+      if (missingRoles.length > 0) {
+        content += `⚠️ These roles don't exist on the server and are skipped: ${missingRoles.join(', ')}\n`;
+      }
+      content += changes.length > 0
+        ? `\nThe next points recalculation would change ${changes.length} member(s):\n${formatRoleRewardChanges(changes)}`
+        : '\nEvery linked member already has the right reward roles.';
+
+      logger.info('[ROLE REWARDS PREVIEW SUCCESS] Role reward changes previewed', {
         permissionLevel,
         executor: { 
           discord_id: interaction.user.id, 
           username: interaction.user.username,
           userDisplayName 
         },
-        command: { name: 'get-attendance-qr' },
+        command: { name: 'role-rewards' },
+        options: { subcommand },
+        results: { changes: changes.length, missingRoles },
       });
-      
+
+      await interaction.editReply({ content: content.substring(0, 1900), allowedMentions: { parse: [] } });
     } catch (error) {
-      logger.error('Error handling get-attendance-qr command', {
+      logger.error('Error handling role-rewards command', {
         permissionLevel,
         executor: { 
           discord_id: interaction.user.id, 
           username: interaction.user.username,
           userDisplayName: getExecutorUsername(interaction)
         },
-        command: { name: 'get-attendance-qr' },
+        command: { name: 'role-rewards' },
         error: error.message,
       });
-      await interaction.reply({ content: 'An error occurred while retrieving the QR code.', flags: ['Ephemeral'] });
+      const content = getStorageErrorMessage(error, 'An error occurred while previewing role rewards.');
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
+      }
     }
   }
 
-  async handleShowPointSystem(interaction) {
-    const permissionLevel = PERMISSION_LEVELS.USER;
-    
+  async handleSeason(interaction) {
+    const permissionLevel = PERMISSION_LEVELS.ADMIN;
+
     try {
+      const subcommand = interaction.options.getSubcommand();
       const userDisplayName = getExecutorUsername(interaction);
-      
-      // Check permissions (user commands always pass)
+
+      // Check permissions
       if (!checkPermissions(interaction, permissionLevel)) {
-        logger.warn('[SHOW POINT SYSTEM FAILED] Unauthorized access attempt', {
+        logger.warn('[SEASON FAILED] Unauthorized access attempt', {
           permissionLevel,
           executor: { 
             discord_id: interaction.user.id, 
             username: interaction.user.username,
             userDisplayName 
           },
-          command: { name: 'show-point-system' },
+          command: { name: 'season' },
+          options: { subcommand },
         });
         await interaction.reply({ content: 'You do not have permission to use this command.', flags: ['Ephemeral'] });
         return;
       }
 
-      // Fetch point system data
-      const rows = await this.sheetsService.fetchSheetData(CONFIG.GOOGLE_SHEETS.TYPES_SHEET, 'TYPES');
-      
-      if (rows.length <= 1) {
-        logger.info('[SHOW POINT SYSTEM EMPTY] No point system data found', {
-          permissionLevel,
-          executor: { 
-            discord_id: interaction.user.id, 
-            username: interaction.user.username,
-            userDisplayName 
-          },
-          command: { name: 'show-point-system' },
-        });
-        await interaction.reply('No point system data available.');
-        return;
+      switch (subcommand) {
+        case 'start':
+          await this.handleSeasonStart(interaction, userDisplayName, permissionLevel);
+          break;
+        case 'end':
+          await this.handleSeasonEnd(interaction, userDisplayName, permissionLevel);
+          break;
+        case 'list':
+          await this.handleSeasonList(interaction, userDisplayName, permissionLevel);
+          break;
+      }
+    } catch (error) {
+      logger.error('Error handling season command', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        },
+        command: { name: 'season' },
+        error: error.message,
+      });
+      const content = getStorageErrorMessage(error, 'An error occurred while managing seasons.');
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply({ content, flags: ['Ephemeral'] });
       }
+    }
+  }
 
-      const eventTypeIndex = getColumnIndex('TYPES', SHEET_COLUMNS.TYPES.EVENT_TYPE);
-      const pointsIndex = getColumnIndex('TYPES', SHEET_COLUMNS.TYPES.POINTS);
-      
-      // Build the point system table
-      let pointSystemText = '```\n🎯 POINT SYSTEM\n\n';
-      pointSystemText += 'Event Type                | Points\n';
-      pointSystemText += '--------------------------|--------\n';
-      
-      rows.slice(1).forEach(row => {
-        const eventType = (row[eventTypeIndex] || 'Unknown').padEnd(25, ' ').substring(0, 25);
-        const points = (row[pointsIndex] || '0').toString().padStart(6, ' ');
-        pointSystemText += `${eventType} | ${points}\n`;
+  async handleSeasonStart(interaction, userDisplayName, permissionLevel) {
+    const name = interaction.options.getString('name').trim();
+    const startDateStr = interaction.options.getString('start-date');
+    const startDate = startDateStr ? parseDate(startDateStr) : moment().tz(CONFIG.TIMEZONE).format('YYYY-MM-DD');
+
+    if (!startDate) {
+      await interaction.reply({ 
+        content: `Invalid date format: "${startDateStr}". Please use a common format like MM/DD/YY, MM/DD/YYYY, or YYYY-MM-DD.`, 
+        flags: ['Ephemeral'] 
       });
-      
-      pointSystemText += '```';
-      
-      await interaction.reply(pointSystemText);
-      
-      logger.info('[SHOW POINT SYSTEM SUCCESS] Point system displayed', {
+      return;
+    }
+
+    // Season names ride along in leaderboard button IDs, which use "|" and ":" as separators
+    if (!name || /[|:]/.test(name) || name.length > 32) {
+      await interaction.reply({ content: 'Season names must be 1-32 characters and cannot contain `|` or `:`.', flags: ['Ephemeral'] });
+      return;
+    }
+
+    const seasons = await this.storage.getSeasons();
+    const activeSeason = seasons.find(season => season.status === SEASON_STATUS.ACTIVE);
+    const lastEnd = seasons.map(season => season.endDate).filter(Boolean).sort().pop();
+
+    let problem = null;
+    if (activeSeason) {
+      problem = `The **${activeSeason.name}** season is still active. End it with \`/season end\` first.`;
+    } else if (seasons.some(season => season.name.toLowerCase() === name.toLowerCase())) {
+      problem = `A season named **${name}** already exists.`;
+    } else if (lastEnd && startDate <= lastEnd) {
+      problem = `The new season must start after the previous season ended (${lastEnd}).`;
+    }
+
+    if (problem) {
+      logger.warn('[SEASON START FAILED] Season cannot start', {
         permissionLevel,
         executor: { 
           discord_id: interaction.user.id, 
           username: interaction.user.username,
           userDisplayName 
         },
-        command: { name: 'show-point-system' },
-        results: { count: rows.length - 1 }
+        command: { name: 'season' },
+        options: { subcommand: 'start', name, startDate },
+        reason: problem,
       });
-      
+      await interaction.reply({ content: problem, flags: ['Ephemeral'] });
+      return;
+    }
+
+    await interaction.deferReply({ flags: ['Ephemeral'] });
+
+    const season = { name, startDate, endDate: '', status: SEASON_STATUS.ACTIVE };
+    await this.storage.updateSeasons(current => {
+      // Someone else started a season since the checks above
+      if (current.some(existing => existing.status === SEASON_STATUS.ACTIVE || existing.name.toLowerCase() === name.toLowerCase())) {
+        throw new SheetConflictError(CONFIG.GOOGLE_SHEETS.SEASONS_SHEET);
+      }
+      return [...current, season];
+    });
+
+    // Points Record now only counts events from the new season. The season is already saved,
+    // so a failed recalculation must not read as a failed start: running it again would be refused
+    let recalculated = true;
+    try {
+      await this.attendanceProcessor.updatePoints('season-start');
     } catch (error) {
-      logger.error('Error handling show-point-system command', {
+      recalculated = false;
+      logger.error('[SEASON START PENDING] Season saved but recalculation failed', {
         permissionLevel,
         executor: { 
           discord_id: interaction.user.id, 
           username: interaction.user.username,
-          userDisplayName: getExecutorUsername(interaction)
+          userDisplayName 
         },
-        command: { name: 'show-point-system' },
+        command: { name: 'season' },
+        options: { subcommand: 'start' },
+        after: season,
         error: error.message,
       });
-      await interaction.reply('An error occurred while retrieving the point system.');
     }
+
+    logger.info('[SEASON START SUCCESS] Season started', {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username,
+        userDisplayName 
+      },
+      command: { name: 'season' },
+      options: { subcommand: 'start' },
+      after: season,
+      results: { recalculated },
+    });
+
+    await interaction.editReply({ 
+      content: recalculated
+        ? `🏁 The **${name}** season has started (counting events from ${startDate}). Current points have been reset.`
+        : `🏁 The **${name}** season has started (counting events from ${startDate}).\n` +
+          '⏳ The season was saved, but current points could not be reset right now. ' +
+          'They will update on the next recalculation; do not run this command again.'
+    });
+  }
+
+  async handleSeasonEnd(interaction, userDisplayName, permissionLevel) {
+    const endDateStr = interaction.options.getString('end-date');
+    const endDate = endDateStr ? parseDate(endDateStr) : moment().tz(CONFIG.TIMEZONE).format('YYYY-MM-DD');
+    const seasons = await this.storage.getSeasons();
+    const activeSeason = seasons.find(season => season.status === SEASON_STATUS.ACTIVE);
+
+    let problem = null;
+    if (!endDate) {
+      problem = `Invalid date format: "${endDateStr}". Please use a common format like MM/DD/YY, MM/DD/YYYY, or YYYY-MM-DD.`;
+    } else if (!activeSeason) {
+      problem = 'There is no active season to end.';
+    } else if (endDate < activeSeason.startDate) {
+      problem = `The end date must not be before the season started (${activeSeason.startDate}).`;
+    }
+
+    if (problem) {
+      logger.warn('[SEASON END FAILED] Season cannot end', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'season' },
+        options: { subcommand: 'end', endDate },
+        reason: problem,
+      });
+      await interaction.reply({ content: problem, flags: ['Ephemeral'] });
+      return;
+    }
+
+    await interaction.deferReply({ flags: ['Ephemeral'] });
+
+    // Snapshot the final standings before the season stops counting
+    const { members } = await this.attendanceProcessor.calculateMembers({ from: activeSeason.startDate, to: endDate });
+    const standings = rankByPoints([...members]
+      .map(([netId, member]) => ({ ...member, netId }))
+      .filter(member => member.points > 0));
+
+    // Archive before closing the season: if archiving fails the season stays active and
+    // /season end can simply be run again, since the archive replaces this season's rows
+    await this.storage.archiveSeason(activeSeason.name, standings);
+
+    const endedSeason = { ...activeSeason, endDate, status: SEASON_STATUS.ENDED };
+    await this.storage.updateSeasons(current => {
+      if (!current.some(season => season.status === SEASON_STATUS.ACTIVE && season.name === activeSeason.name)) {
+        throw new SheetConflictError(CONFIG.GOOGLE_SHEETS.SEASONS_SHEET);
+      }
+      return current.map(season => season.name === activeSeason.name ? endedSeason : season);
+    });
+
+    // The season is already ended and archived, so a failed recalculation is only reported
+    let recalculated = true;
+    try {
+      await this.attendanceProcessor.updatePoints('season-end');
+    } catch (error) {
+      recalculated = false;
+      logger.error('[SEASON END PENDING] Season ended but recalculation failed', {
+        permissionLevel,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName 
+        },
+        command: { name: 'season' },
+        options: { subcommand: 'end' },
+        after: endedSeason,
+        error: error.message,
+      });
+    }
+
+    logger.info('[SEASON END SUCCESS] Season ended and archived', {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username,
+        userDisplayName 
+      },
+      command: { name: 'season' },
+      options: { subcommand: 'end' },
+      before: activeSeason,
+      after: endedSeason,
+      results: { archived: standings.length, recalculated },
+    });
+
+    await interaction.editReply({ 
+      content: `🏆 The **${activeSeason.name}** season has ended and ${standings.length} member(s) were archived.\n` +
+               `View the final standings with \`/view-leaderboard season:${activeSeason.name}\`.` +
+               (recalculated
+                 ? ''
+                 : '\n⏳ The season was saved, but current points could not be recalculated right now. ' +
+                   'They will update on the next recalculation; do not run this command again.')
+    });
+  }
+
+  async handleSeasonList(interaction, userDisplayName, permissionLevel) {
+    const seasons = await this.storage.getSeasons();
+
+    if (seasons.length === 0) {
+      await interaction.reply({ content: 'No seasons have been started yet.', flags: ['Ephemeral'] });
+      return;
+    }
+
+    let seasonsText = '```\n📆 SEASONS\n\n';
+    seasonsText += 'Season                           | Start Date | End Date   | Status\n';
+    seasonsText += '---------------------------------|------------|------------|-------\n';
+    seasons.forEach(season => {
+      const name = season.name.padEnd(32, ' ').substring(0, 32);
+      const start = season.startDate.padEnd(10, ' ');
+      const end = (season.endDate || '-').padEnd(10, ' ');
+      seasonsText += `${name} | ${start} | ${end} | ${season.status}\n`;
+    });
+    seasonsText += '```';
+
+    await interaction.reply({ content: seasonsText, flags: ['Ephemeral'] });
+
+    logger.info('[SEASON LIST SUCCESS] Seasons listed', {
+      permissionLevel,
+      executor: { 
+        discord_id: interaction.user.id, 
+        username: interaction.user.username,
+        userDisplayName 
+      },
+      command: { name: 'season' },
+      options: { subcommand: 'list' },
+      results: { count: seasons.length },
+    });
+  }
+
+  async handleSeasonAutocomplete(interaction) {
+    const query = interaction.options.getFocused().toLowerCase();
+    const seasons = await this.storage.getSeasons();
+
+    // Only ended seasons have archived standings
+    const choices = seasons
+      .filter(season => season.status === SEASON_STATUS.ENDED)
+      .filter(season => !query || season.name.toLowerCase().includes(query))
+      .reverse()
+      .slice(0, 25)
+      .map(season => ({ name: `${season.name} (${season.startDate} – ${season.endDate})`.substring(0, 100), value: season.name }));
+
+    await interaction.respond(choices);
   }
 }
 
@@ -1024,18 +7855,42 @@ class DiscordBot {
       intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages],
     });
     
-    this.sheetsService = new GoogleSheetsService();
-    this.commandHandlers = new CommandHandlers(this.sheetsService);
+    this.storage = createStorage();
+    this.attendanceProcessor = new AttendanceProcessor(this.storage);
+    this.roleRewards = new RoleRewards(this.storage, this.client);
+    this.achievements = new Achievements(this.storage, this.client);
+    this.digest = new LeaderboardDigest(this.storage, this.client, this.attendanceProcessor);
+    this.eventAnnouncer = new EventAnnouncer(this.storage, this.client);
+    this.commandHandlers = new CommandHandlers(this.storage, this.attendanceProcessor, this.roleRewards, this.achievements, this.digest);
+    this.attendanceProcessor.onUpdate(summary => this.roleRewards.sync(summary.trigger));
+    this.attendanceProcessor.onUpdate((summary, members) => this.achievements.sync(members));
     this.setupEventHandlers();
   }
 
   setupEventHandlers() {
     this.client.once('clientReady', () => {
       logger.info(`Bot logged in as ${this.client.user.tag}`);
+      this.attendanceProcessor.start();
+      this.eventAnnouncer.start();
+      this.digest.start().catch(error => {
+        logger.error('[DIGEST FAILED] Leaderboard digest could not be scheduled', { error: error.message });
+      });
     });
 
     this.client.on('interactionCreate', async (interaction) => {
-      if (!interaction.guild || !interaction.isCommand()) return;
+      if (!interaction.guild) return;
+
+      if (interaction.isAutocomplete()) {
+        await this.handleAutocomplete(interaction);
+        return;
+      }
+
+      if (interaction.isButton()) {
+        await this.handleButton(interaction);
+        return;
+      }
+
+      if (!interaction.isCommand()) return;
 
       const { commandName } = interaction;
 
@@ -1044,21 +7899,81 @@ class DiscordBot {
           case 'view-leaderboard':
             await this.commandHandlers.handleViewLeaderboard(interaction);
             break;
+          case 'my-points':
+            await this.commandHandlers.handleMyPoints(interaction);
+            break;
+          case 'badges':
+            await this.commandHandlers.handleBadges(interaction);
+            break;
+          case 'check-in':
+            await this.commandHandlers.handleCheckIn(interaction);
+            break;
+          case 'link-netid':
+            await this.commandHandlers.handleLinkNetId(interaction);
+            break;
+          case 'netid-links':
+            await this.commandHandlers.handleNetIdLinks(interaction);
+            break;
           case 'membership-logs':
             await this.commandHandlers.handleMembershipLogs(interaction);
             break;
           case 'add-event':
             await this.commandHandlers.handleAddEvent(interaction);
             break;
+          case 'add-event-series':
+            await this.commandHandlers.handleAddEventSeries(interaction);
+            break;
+          case 'import-events':
+            await this.commandHandlers.handleImportEvents(interaction);
+            break;
+          case 'edit-event':
+            await this.commandHandlers.handleEditEvent(interaction);
+            break;
+          case 'delete-event':
+            await this.commandHandlers.handleDeleteEvent(interaction);
+            break;
           case 'show-event-list':
             await this.commandHandlers.handleShowEventList(interaction);
             break;
+          case 'event-attendance':
+            await this.commandHandlers.handleEventAttendance(interaction);
+            break;
+          case 'stats':
+            await this.commandHandlers.handleStats(interaction);
+            break;
+          case 'export-calendar':
+            await this.commandHandlers.handleExportCalendar(interaction);
+            break;
           case 'get-attendance-qr':
             await this.commandHandlers.handleGetAttendanceQR(interaction);
             break;
+          case 'show-rotating-code':
+            await this.commandHandlers.handleShowRotatingCode(interaction);
+            break;
           case 'show-point-system':
             await this.commandHandlers.handleShowPointSystem(interaction);
             break;
+          case 'recalculate-points':
+            await this.commandHandlers.handleRecalculatePoints(interaction);
+            break;
+          case 'adjust-points':
+            await this.commandHandlers.handleAdjustPoints(interaction);
+            break;
+          case 'role-rewards':
+            await this.commandHandlers.handleRoleRewards(interaction);
+            break;
+          case 'season':
+            await this.commandHandlers.handleSeason(interaction);
+            break;
+          case 'point-system':
+            await this.commandHandlers.handlePointSystem(interaction);
+            break;
+          case 'digest':
+            await this.commandHandlers.handleDigest(interaction);
+            break;
+          case 'cache':
+            await this.commandHandlers.handleCache(interaction);
+            break;
           default:
             logger.warn('Unknown command received', { commandName });
             await interaction.reply('Unknown command.');
@@ -1081,11 +7996,198 @@ class DiscordBot {
     });
   }
 
+  async handleAutocomplete(interaction) {
+    try {
+      // Every event-type option suggests the types in the Points System sheet
+      if (interaction.options.getFocused(true).name === 'event-type') {
+        await this.commandHandlers.handleEventTypeAutocomplete(interaction);
+        return;
+      }
+
+      switch (interaction.commandName) {
+        case 'get-attendance-qr':
+        case 'show-rotating-code':
+          await this.commandHandlers.handleEventAutocomplete(interaction);
+          break;
+        case 'edit-event':
+        case 'delete-event':
+        case 'event-attendance':
+          await this.commandHandlers.handleEventAutocomplete(interaction, getEventKey);
+          break;
+        case 'view-leaderboard':
+        case 'stats':
+          await this.commandHandlers.handleSeasonAutocomplete(interaction);
+          break;
+        default:
+          await interaction.respond([]);
+      }
+    } catch (error) {
+      // Autocomplete requests expire quickly; a failed one just shows no suggestions
+      logger.error('Error handling autocomplete', {
+        commandName: interaction.commandName,
+        error: error.message
+      });
+    }
+  }
+
+  // Button custom IDs are "<feature>:<action>:<args...>"
+  async handleButton(interaction) {
+    const [feature] = interaction.customId.split(':');
+
+    try {
+      switch (feature) {
+        case 'link-netid':
+          await this.commandHandlers.handleLinkReviewButton(interaction);
+          break;
+        case 'rotating-code':
+          await this.commandHandlers.handleRotatingCodeButton(interaction);
+          break;
+        case 'leaderboard':
+          await this.commandHandlers.handleLeaderboardButton(interaction);
+          break;
+        case 'delete-event':
+          await this.commandHandlers.handleDeleteEventButton(interaction);
+          break;
+        case 'import-events':
+          await this.commandHandlers.handleImportEventsButton(interaction);
+          break;
+        default:
+          logger.warn('Unknown button received', { customId: interaction.customId });
+          await interaction.reply({ content: 'This button is no longer supported.', flags: ['Ephemeral'] });
+      }
+    } catch (error) {
+      logger.error('Error handling button', {
+        customId: interaction.customId,
+        error: error.message,
+        executor: { 
+          discord_id: interaction.user.id, 
+          username: interaction.user.username,
+          userDisplayName: getExecutorUsername(interaction)
+        }
+      });
+
+      if (!interaction.replied && !interaction.deferred) {
+        await interaction.reply({ content: 'An error occurred while processing this button.', flags: ['Ephemeral'] });
+      }
+    }
+  }
+
   async registerCommands() {
     const commands = [
       {
-        name: 'view-leaderboard',
-        description: 'View the current leaderboard showing top 15 members by points.',
+        name: 'view-leaderboard',
+        description: 'View the current leaderboard of members by points, one page at a time.',
+        options: [
+          { 
+            name: 'page-size', 
+            description: `Members per page (default ${CONFIG.LEADERBOARD.DEFAULT_PAGE_SIZE})`, 
+            type: 4, 
+            required: false,
+            min_value: CONFIG.LEADERBOARD.MIN_PAGE_SIZE,
+            max_value: CONFIG.LEADERBOARD.MAX_PAGE_SIZE
+          },
+          { 
+            name: 'from', 
+            description: 'Only count events on or after this date (e.g. MM/DD/YY or YYYY-MM-DD)', 
+            type: 3, 
+            required: false 
+          },
+          { 
+            name: 'to', 
+            description: 'Only count events on or before this date (e.g. MM/DD/YY or YYYY-MM-DD)', 
+            type: 3, 
+            required: false 
+          },
+          { 
+            name: 'event-type', 
+            description: 'Only count events of this type', 
+            type: 3, 
+            required: false,
+            autocomplete: true
+          },
+          { 
+            name: 'season', 
+            description: 'Show the final standings of a past season', 
+            type: 3, 
+            required: false,
+            autocomplete: true
+          },
+        ],
+      },
+      {
+        name: 'my-points',
+        description: 'View your own points, rank and the events that counted toward them.',
+      },
+      {
+        name: 'badges',
+        description: 'View the badges you have earned, your weekly attendance streak and progress toward other badges.',
+      },
+      {
+        name: 'check-in',
+        description: 'Check in to an event that is happening now using its event code.',
+        options: [
+          { 
+            name: 'code', 
+            description: 'Event code announced at the event', 
+            type: 3, 
+            required: true 
+          },
+        ],
+      },
+      {
+        name: 'link-netid',
+        description: 'Request to link your Discord account to your NetID. Staff will review the request.',
+        options: [
+          { 
+            name: 'netid', 
+            description: 'Your NetID (the part of your school email before the @)', 
+            type: 3, 
+            required: true 
+          },
+        ],
+      },
+      {
+        name: 'netid-links',
+        description: 'List, revoke or reassign Discord account to NetID links. This is restricted to staff roles.',
+        options: [
+          {
+            name: 'list',
+            description: 'List every linked Discord account',
+            type: 1,
+          },
+          {
+            name: 'revoke',
+            description: 'Unlink a Discord account from its NetID',
+            type: 1,
+            options: [
+              { 
+                name: 'user', 
+                description: 'Discord account to unlink', 
+                type: 6, 
+                required: true 
+              },
+            ],
+          },
+          {
+            name: 'reassign',
+            description: 'Link a NetID to a different Discord account, replacing any existing link',
+            type: 1,
+            options: [
+              { 
+                name: 'netid', 
+                description: 'NetID to link', 
+                type: 3, 
+                required: true 
+              },
+              { 
+                name: 'user', 
+                description: 'Discord account to link it to', 
+                type: 6, 
+                required: true 
+              },
+            ],
+          },
+        ],
       },
       {
         name: 'show-point-system',
@@ -1124,20 +8226,206 @@ class DiscordBot {
             description: 'Type of event', 
             type: 3, 
             required: true,
+            autocomplete: true
+          },
+          { 
+            name: 'event-code', 
+            description: 'Unique code for event attendance (leave blank to generate one)', 
+            type: 3, 
+            required: false 
+          },
+          { 
+            name: 'rotating-code-seconds', 
+            description: 'Optional: require a rotating code that changes every this many seconds', 
+            type: 4, 
+            required: false,
+            min_value: CONFIG.ATTENDANCE.MIN_ROTATION_SECONDS,
+            max_value: CONFIG.ATTENDANCE.MAX_ROTATION_SECONDS
+          },
+        ],
+      },
+      {
+        name: 'add-event-series',
+        description: 'Add a recurring series of events, each with its own code. This is restricted to staff roles.',
+        options: [
+          { 
+            name: 'event-name', 
+            description: 'Name of the events', 
+            type: 3, 
+            required: true 
+          },
+          { 
+            name: 'start-date', 
+            description: 'Date of the first event (use a valid format like MM/DD/YY or YYYY-MM-DD)', 
+            type: 3, 
+            required: true 
+          },
+          { 
+            name: 'start-time', 
+            description: 'Start time of each event (use a valid format like 3pm or 15:00)', 
+            type: 3, 
+            required: true 
+          },
+          { 
+            name: 'end-time', 
+            description: 'End time of each event (use a valid format like 5pm or 17:00)', 
+            type: 3, 
+            required: true 
+          },
+          { 
+            name: 'event-type', 
+            description: 'Type of the events', 
+            type: 3, 
+            required: true,
+            autocomplete: true
+          },
+          { 
+            name: 'recurrence', 
+            description: 'How often the event repeats', 
+            type: 3, 
+            required: true,
             choices: [
-              { name: EVENT_TYPES.GENERAL_MEETING, value: EVENT_TYPES.GENERAL_MEETING },
-              { name: EVENT_TYPES.TECHNICAL_WORKSHOP, value: EVENT_TYPES.TECHNICAL_WORKSHOP },
-              { name: EVENT_TYPES.PROFESSIONAL_WORKSHOP, value: EVENT_TYPES.PROFESSIONAL_WORKSHOP },
-              { name: EVENT_TYPES.TECH_TALK, value: EVENT_TYPES.TECH_TALK },
-              { name: EVENT_TYPES.SOCIAL, value: EVENT_TYPES.SOCIAL },
+              { name: 'Weekly', value: RECURRENCES.WEEKLY },
+              { name: 'Every other week', value: RECURRENCES.BIWEEKLY },
+              { name: 'Custom weekdays', value: RECURRENCES.CUSTOM },
             ]
           },
           { 
-            name: 'event-code', 
-            description: 'Unique code for event attendance', 
+            name: 'weekdays', 
+            description: 'For custom recurrence: days of the week, e.g. "Mon, Wed"', 
+            type: 3, 
+            required: false 
+          },
+          { 
+            name: 'count', 
+            description: 'Number of events to create (set this or end-date)', 
+            type: 4, 
+            required: false,
+            min_value: 1,
+            max_value: CONFIG.SERIES.MAX_OCCURRENCES
+          },
+          { 
+            name: 'end-date', 
+            description: 'Last possible date of the series (set this or count)', 
+            type: 3, 
+            required: false 
+          },
+          { 
+            name: 'skip-dates', 
+            description: 'Comma-separated dates to leave out, e.g. holidays (11/26/26, 12/24/26)', 
             type: 3, 
+            required: false 
+          },
+          { 
+            name: 'rotating-code-seconds', 
+            description: 'Optional: require rotating codes that change every this many seconds', 
+            type: 4, 
+            required: false,
+            min_value: CONFIG.ATTENDANCE.MIN_ROTATION_SECONDS,
+            max_value: CONFIG.ATTENDANCE.MAX_ROTATION_SECONDS
+          },
+        ],
+      },
+      {
+        name: 'import-events',
+        description: 'Add many events from a CSV or .ics file after previewing them. This is restricted to staff roles.',
+        options: [
+          { 
+            name: 'file', 
+            description: 'CSV with Date, Start Time, End Time, Event Name, Event Type (and optional Event Code) columns, or an .ics calendar', 
+            type: 11, 
             required: true 
           },
+          { 
+            name: 'event-type', 
+            description: 'Event type for rows that don\'t set one (e.g. calendar events)', 
+            type: 3, 
+            required: false,
+            autocomplete: true
+          },
+        ],
+      },
+      {
+        name: 'edit-event',
+        description: 'Change the details of an existing event. This is restricted to staff roles.',
+        options: [
+          { 
+            name: 'event', 
+            description: 'Event to edit (search by code or name)', 
+            type: 3, 
+            required: true,
+            autocomplete: true
+          },
+          { 
+            name: 'scope', 
+            description: 'Change only this event (default) or every upcoming event in its series', 
+            type: 3, 
+            required: false,
+            choices: [
+              { name: 'Only this event', value: EVENT_SCOPES.OCCURRENCE },
+              { name: 'All upcoming events in the series', value: EVENT_SCOPES.SERIES },
+            ]
+          },
+          { 
+            name: 'event-name', 
+            description: 'New name of the event', 
+            type: 3, 
+            required: false 
+          },
+          { 
+            name: 'date', 
+            description: 'New event date (use a valid format like MM/DD/YY or YYYY-MM-DD)', 
+            type: 3, 
+            required: false 
+          },
+          { 
+            name: 'start-time', 
+            description: 'New start time (use a valid format like 3pm or 15:00)', 
+            type: 3, 
+            required: false 
+          },
+          { 
+            name: 'end-time', 
+            description: 'New end time (use a valid format like 5pm or 17:00)', 
+            type: 3, 
+            required: false 
+          },
+          { 
+            name: 'event-type', 
+            description: 'New type of event', 
+            type: 3, 
+            required: false,
+            autocomplete: true
+          },
+          { 
+            name: 'event-code', 
+            description: 'New code for event attendance', 
+            type: 3, 
+            required: false 
+          },
+        ],
+      },
+      {
+        name: 'delete-event',
+        description: 'Delete an event after confirming. This is restricted to staff roles.',
+        options: [
+          { 
+            name: 'event', 
+            description: 'Event to delete (search by code or name)', 
+            type: 3, 
+            required: true,
+            autocomplete: true
+          },
+          { 
+            name: 'scope', 
+            description: 'Delete only this event (default) or every upcoming event in its series', 
+            type: 3, 
+            required: false,
+            choices: [
+              { name: 'Only this event', value: EVENT_SCOPES.OCCURRENCE },
+              { name: 'All upcoming events in the series', value: EVENT_SCOPES.SERIES },
+            ]
+          },
         ],
       },
       {
@@ -1152,9 +8440,302 @@ class DiscordBot {
           },
         ],
       },
+      {
+        name: 'event-attendance',
+        description: 'List who checked in to an event and which submissions were rejected. This is restricted to staff roles.',
+        options: [
+          { 
+            name: 'event', 
+            description: 'Event to report on (search by code or name)', 
+            type: 3, 
+            required: true,
+            autocomplete: true
+          },
+          { 
+            name: 'format', 
+            description: 'Show a table (default) or attach a CSV file', 
+            type: 3, 
+            required: false,
+            choices: [
+              { name: 'Table', value: REPORT_FORMATS.TABLE },
+              { name: 'CSV file', value: REPORT_FORMATS.CSV },
+            ]
+          },
+        ],
+      },
+      {
+        name: 'stats',
+        description: 'Attendance trends, new vs returning members and retention as charts. This is restricted to staff roles.',
+        options: [
+          { 
+            name: 'season', 
+            description: 'Report on a past season instead of the current one', 
+            type: 3, 
+            required: false,
+            autocomplete: true
+          },
+        ],
+      },
+      {
+        name: 'export-calendar',
+        description: 'Download club events as an .ics file for your calendar app',
+        options: [
+          { 
+            name: 'upcoming-only', 
+            description: 'Only include events that haven\'t ended yet (default: true)', 
+            type: 5, 
+            required: false 
+          },
+          { 
+            name: 'event-type', 
+            description: 'Only include one type of event', 
+            type: 3, 
+            required: false,
+            autocomplete: true
+          },
+        ],
+      },
       {
         name: 'get-attendance-qr',
-        description: 'Get the attendance QR code. This is restricted to staff roles.',
+        description: 'Generate the check-in QR code for an event. This is restricted to staff roles.',
+        options: [
+          { 
+            name: 'event', 
+            description: 'Event to generate the QR code for', 
+            type: 3, 
+            required: true,
+            autocomplete: true
+          },
+          { 
+            name: 'show-details', 
+            description: 'Show the event name and time window under the code', 
+            type: 5, 
+            required: false 
+          },
+        ],
+      },
+      {
+        name: 'recalculate-points',
+        description: 'Recalculate all member points from the form responses now. This is restricted to staff roles.',
+      },
+      {
+        name: 'adjust-points',
+        description: 'Award or take away points by hand, with a reason. This is restricted to admin roles.',
+        options: [
+          { 
+            name: 'netid', 
+            description: 'NetID of the member', 
+            type: 3, 
+            required: true 
+          },
+          { 
+            name: 'amount', 
+            description: 'Points to add (use a negative number to take points away)', 
+            type: 10, 
+            required: true 
+          },
+          { 
+            name: 'reason', 
+            description: 'Why the points are adjusted (shown to the member in /my-points)', 
+            type: 3, 
+            required: true,
+            max_length: 200
+          },
+        ],
+      },
+      {
+        name: 'role-rewards',
+        description: 'Preview the reward roles linked members would gain or lose. This is restricted to staff roles.',
+        options: [
+          {
+            name: 'preview',
+            description: 'Dry run: list the role changes without making them',
+            type: 1,
+          },
+        ],
+      },
+      {
+        name: 'point-system',
+        description: 'Add, edit or remove event types and their point values. This is restricted to admin roles.',
+        options: [
+          {
+            name: 'add',
+            description: 'Add an event type',
+            type: 1,
+            options: [
+              { 
+                name: 'name', 
+                description: 'Event type name (e.g. Hackathon)', 
+                type: 3, 
+                required: true 
+              },
+              { 
+                name: 'points', 
+                description: 'Points earned for attending', 
+                type: 10, 
+                required: true,
+                min_value: 0
+              },
+            ],
+          },
+          {
+            name: 'edit',
+            description: 'Rename an event type or change its point value',
+            type: 1,
+            options: [
+              { 
+                name: 'event-type', 
+                description: 'Event type to change', 
+                type: 3, 
+                required: true,
+                autocomplete: true
+              },
+              { 
+                name: 'name', 
+                description: 'New name (events of this type are renamed too)', 
+                type: 3, 
+                required: false 
+              },
+              { 
+                name: 'points', 
+                description: 'New point value', 
+                type: 10, 
+                required: false,
+                min_value: 0
+              },
+            ],
+          },
+          {
+            name: 'remove',
+            description: 'Remove an event type that no events use',
+            type: 1,
+            options: [
+              { 
+                name: 'event-type', 
+                description: 'Event type to remove', 
+                type: 3, 
+                required: true,
+                autocomplete: true
+              },
+            ],
+          },
+        ],
+      },
+      {
+        name: 'season',
+        description: 'Start, end or list leaderboard seasons. This is restricted to admin roles.',
+        options: [
+          {
+            name: 'start',
+            description: 'Start a new season, resetting current points',
+            type: 1,
+            options: [
+              { 
+                name: 'name', 
+                description: 'Season name (e.g. Fall 2026)', 
+                type: 3, 
+                required: true 
+              },
+              { 
+                name: 'start-date', 
+                description: 'First day of the season (default today)', 
+                type: 3, 
+                required: false 
+              },
+            ],
+          },
+          {
+            name: 'end',
+            description: 'End the active season and archive its final standings',
+            type: 1,
+            options: [
+              { 
+                name: 'end-date', 
+                description: 'Last day of the season (default today)', 
+                type: 3, 
+                required: false 
+              },
+            ],
+          },
+          {
+            name: 'list',
+            description: 'List every season',
+            type: 1,
+          },
+        ],
+      },
+      {
+        name: 'digest',
+        description: 'Configure, pause or post the scheduled leaderboard digest. This is restricted to admin roles.',
+        options: [
+          {
+            name: 'configure',
+            description: 'Change where and when the digest is posted (no options shows the current settings)',
+            type: 1,
+            options: [
+              { 
+                name: 'channel', 
+                description: 'Channel to post the digest in', 
+                type: 7, 
+                required: false,
+                channel_types: [0, 5]
+              },
+              { 
+                name: 'schedule', 
+                description: `Cron schedule in ${CONFIG.TIMEZONE} time, e.g. "0 18 * * 0" for Sundays at 6 PM`, 
+                type: 3, 
+                required: false 
+              },
+              { 
+                name: 'size', 
+                description: 'How many places of the leaderboard to show', 
+                type: 4, 
+                required: false,
+                min_value: 1,
+                max_value: CONFIG.DIGEST.MAX_SIZE
+              },
+            ],
+          },
+          {
+            name: 'pause',
+            description: 'Stop posting the digest on its schedule',
+            type: 1,
+          },
+          {
+            name: 'resume',
+            description: 'Start posting the digest on its schedule again',
+            type: 1,
+          },
+          {
+            name: 'trigger',
+            description: 'Post the digest now, even while paused',
+            type: 1,
+          },
+        ],
+      },
+      {
+        name: 'cache',
+        description: 'Manage the in-memory Google Sheets cache. This is restricted to admin roles.',
+        options: [
+          {
+            name: 'flush',
+            description: 'Drop every cached sheet so the next reads fetch fresh data',
+            type: 1,
+          },
+        ],
+      },
+      {
+        name: 'show-rotating-code',
+        description: 'Post a live, auto-refreshing check-in code for a rotating-code event. This is restricted to staff roles.',
+        options: [
+          { 
+            name: 'event', 
+            description: 'Event to display the code for', 
+            type: 3, 
+            required: true,
+            autocomplete: true
+          },
+        ],
       },
       {
         name: 'membership-logs',
@@ -1216,14 +8797,47 @@ class DiscordBot {
 // APPLICATION STARTUP
 // ============================================================================
 async function validateEnvironment() {
+  if (!Object.values(STORAGE_BACKENDS).includes(CONFIG.STORAGE.BACKEND)) {
+    logger.error('Invalid STORAGE_BACKEND', {
+      options: { backend: CONFIG.STORAGE.BACKEND, supported: Object.values(STORAGE_BACKENDS) }
+    });
+    process.exit(1);
+  }
+
   const requiredVars = [
     'DISCORD_TOKEN',
     'CLIENT_ID',
-    'GUILD_ID',
-    'SPREADSHEET_ID',
-    'CREDENTIALS_PATH'
+    'GUILD_ID'
   ];
 
+  // Google credentials are only needed when the spreadsheet is the backend
+  if (CONFIG.STORAGE.BACKEND === STORAGE_BACKENDS.SHEETS) {
+    requiredVars.push('SPREADSHEET_ID', 'CREDENTIALS_PATH');
+  }
+
+  if (!Number.isFinite(CONFIG.CACHE.DEFAULT_TTL_SECONDS) || CONFIG.CACHE.DEFAULT_TTL_SECONDS < 0) {
+    logger.error('Invalid SHEETS_CACHE_TTL_SECONDS', {
+      options: { ttl: process.env.SHEETS_CACHE_TTL_SECONDS }
+    });
+    process.exit(1);
+  }
+
+  const invalidReminders = CONFIG.REMINDERS.OFFSETS.filter(offset => !Number.isFinite(offset.minutes));
+  if (invalidReminders.length > 0) {
+    logger.error('Invalid EVENT_REMINDERS, expected offsets like "24h, 1h, 30m" separated by commas', {
+      options: { eventReminders: process.env.EVENT_REMINDERS }
+    });
+    process.exit(1);
+  }
+
+  const invalidRewards = CONFIG.ROLE_REWARDS.REWARDS.filter(reward => !reward.roleName || !Number.isFinite(reward.points));
+  if (invalidRewards.length > 0) {
+    logger.error('Invalid ROLE_REWARDS, expected "Role Name:points" pairs separated by commas', {
+      options: { roleRewards: process.env.ROLE_REWARDS }
+    });
+    process.exit(1);
+  }
+
   const missing = requiredVars.filter(varName => !process.env[varName]);
   
   if (missing.length > 0) {
@@ -1246,19 +8860,38 @@ async function main() {
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  logger.info('Received SIGINT, shutting down gracefully...');
-  process.exit(0);
-});
+// Only start the bot when this file is run directly; the tests import it
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  // Handle graceful shutdown
+  process.on('SIGINT', () => {
+    logger.info('Received SIGINT, shutting down gracefully...');
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', () => {
+    logger.info('Received SIGTERM, shutting down gracefully...');
+    process.exit(0);
+  });
 
-process.on('SIGTERM', () => {
-  logger.info('Received SIGTERM, shutting down gracefully...');
-  process.exit(0);
-});
+  // Start the application
+  main().catch(error => {
+    logger.error('Unhandled error in main', { error: error.message });
+    process.exit(1);
+  });
+}
 
-// Start the application
-main().catch(error => {
-  logger.error('Unhandled error in main', { error: error.message });
-  process.exit(1);
-});
\ No newline at end of file
+export {
+  CONFIG,
+  SUBMISSION_STATUS,
+  SUBMISSION_SOURCES,
+  RECURRENCES,
+  AttendanceProcessor,
+  CommandHandlers,
+  LocalFileStorage,
+  generateRotatingCode,
+  rankByPoints,
+  buildSeriesDates,
+  parseCsv,
+  parseEventsCsv,
+  parseEventsIcs
+};
\ No newline at end of file
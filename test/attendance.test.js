@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AttendanceProcessor, SUBMISSION_STATUS, SUBMISSION_SOURCES } from '../index.js';
+import { POINT_TYPES, toSheetEvent, toSheetResponse } from './fixtures.js';
+
+const processor = new AttendanceProcessor(null);
+const events = [
+  { date: '2026-10-14', start: '18:00', end: '19:00', name: 'General Meeting', type: 'General Meeting', code: 'GM1014' },
+  // The same code reused on another day is a separate event
+  { date: '2026-10-21', start: '18:00', end: '19:00', name: 'General Meeting', type: 'General Meeting', code: 'GM1014' },
+  { date: '2026-10-15', start: '20:00', end: '22:00', name: 'Game Night', type: 'Game Night', code: 'GAME' }
+].map(toSheetEvent);
+const eventLookup = processor.createEventLookup(events);
+
+function evaluate(at, code, creditedEvents) {
+  const submission = toSheetResponse({ at, email: 'abc123@school.edu', code });
+  return processor.evaluateSubmission(submission, events, eventLookup, creditedEvents);
+}
+
+function process(responses, checkIns = []) {
+  const submissions = processor.mergeSubmissions(responses.map(toSheetResponse), checkIns);
+  return processor.processSubmissions(submissions, events, eventLookup, new Map(POINT_TYPES), { from: null, to: null });
+}
+
+test('evaluateSubmission accepts a submission during the event', () => {
+  assert.deepEqual(evaluate('2026-10-14 18:10:00', 'GM1014'), { status: SUBMISSION_STATUS.ACCEPTED, eventIndex: 0 });
+  assert.deepEqual(evaluate('2026-10-21 18:10:00', 'GM1014'), { status: SUBMISSION_STATUS.ACCEPTED, eventIndex: 1 });
+});
+
+test('evaluateSubmission allows 30 minutes on either side of the event, inclusive', () => {
+  assert.equal(evaluate('2026-10-14 17:30:00', 'GM1014').status, SUBMISSION_STATUS.ACCEPTED);
+  assert.equal(evaluate('2026-10-14 17:29:59', 'GM1014').status, SUBMISSION_STATUS.TOO_EARLY);
+  assert.equal(evaluate('2026-10-14 19:30:00', 'GM1014').status, SUBMISSION_STATUS.ACCEPTED);
+  assert.equal(evaluate('2026-10-14 19:30:01', 'GM1014').status, SUBMISSION_STATUS.TOO_LATE);
+});
+
+test('evaluateSubmission rejects the right code on the wrong date', () => {
+  assert.equal(evaluate('2026-10-13 18:10:00', 'GM1014').status, SUBMISSION_STATUS.WRONG_DATE);
+});
+
+test('evaluateSubmission rejects unknown codes', () => {
+  assert.deepEqual(evaluate('2026-10-14 18:10:00', 'NOPE'), { status: SUBMISSION_STATUS.INVALID_CODE, eventIndex: null });
+});
+
+test('evaluateSubmission reports a duplicate for an event already credited', () => {
+  assert.deepEqual(evaluate('2026-10-14 18:10:00', 'GM1014', new Set([0])), { status: SUBMISSION_STATUS.DUPLICATE, eventIndex: 0 });
+});
+
+test('checkSubmissionWindow treats an unparseable event as invalid', () => {
+  const broken = { ...events[0], startTime: 'soon' };
+  assert.equal(processor.checkSubmissionWindow('10/14/2026 18:10:00', broken, 30), SUBMISSION_STATUS.INVALID_EVENT);
+});
+
+test('mergeSubmissions orders form responses and Discord check-ins by time', () => {
+  const merged = processor.mergeSubmissions(
+    [toSheetResponse({ at: '2026-10-14 18:20:00', email: 'B@school.edu', code: 'GM1014' })],
+    [{ timestamp: '2026-10-14 18:05:00', discordId: '1', netId: 'a', eventCode: 'GM1014' }]
+  );
+  assert.deepEqual(merged.map(submission => [submission.netId, submission.source]), [
+    ['a', SUBMISSION_SOURCES.DISCORD],
+    ['b', SUBMISSION_SOURCES.FORM]
+  ]);
+});
+
+test('processSubmissions credits each member once per event', () => {
+  const { members, rejected, acceptedCount } = process([
+    { at: '2026-10-14 18:05:00', email: 'abc123@school.edu', code: 'GM1014', firstName: 'Ada', lastName: 'Lovelace', anonymous: 'Yes' },
+    { at: '2026-10-14 18:15:00', email: 'abc123@school.edu', code: 'GM1014', firstName: 'Ada', lastName: 'Lovelace', anonymous: 'Yes' },
+    { at: '2026-10-14 18:20:00', email: 'xyz789@school.edu', code: 'GM1014', firstName: 'Alan', lastName: 'Turing', anonymous: 'Yes' },
+    { at: '2026-10-21 18:10:00', email: 'abc123@school.edu', code: 'GM1014', firstName: 'Ada', lastName: 'Lovelace', anonymous: 'Yes' }
+  ]);
+
+  assert.equal(acceptedCount, 3);
+  assert.equal(members.get('abc123').points, 4);
+  assert.equal(members.get('xyz789').points, 2);
+  assert.deepEqual(rejected.map(submission => [submission.netId, submission.status]), [['abc123', SUBMISSION_STATUS.DUPLICATE]]);
+});
+
+test('processSubmissions gives unknown event types the default points', () => {
+  const { members } = process([
+    { at: '2026-10-15 20:30:00', email: 'abc123@school.edu', code: 'GAME', firstName: 'Ada', lastName: 'Lovelace', anonymous: 'Yes' }
+  ]);
+  assert.equal(members.get('abc123').points, 1);
+});
+
+test('processSubmissions takes names and anonymity from the latest form response', () => {
+  const { members } = process([
+    { at: '2026-10-14 18:05:00', email: 'abc123@school.edu', code: 'GM1014', firstName: 'Ada', lastName: 'Byron', anonymous: 'Yes' },
+    { at: '2026-10-21 18:05:00', email: 'abc123@school.edu', code: 'GM1014', firstName: 'Ada', lastName: 'Lovelace', anonymous: 'No' },
+    { at: '2026-10-14 18:05:00', email: 'xyz789@school.edu', code: 'GM1014', firstName: 'Alan', lastName: 'Turing', anonymous: '' }
+  ]);
+
+  assert.equal(members.get('abc123').lastName, 'Lovelace');
+  assert.equal(members.get('abc123').anonymous, true);
+  // A blank answer counts as not agreeing to be shown
+  assert.equal(members.get('xyz789').anonymous, true);
+});
+
+test('processSubmissions keeps members whose only submission has an unknown code', () => {
+  const { members } = process([
+    { at: '2026-10-14 18:05:00', email: 'abc123@school.edu', code: 'NOPE', firstName: 'Ada', lastName: 'Lovelace', anonymous: 'Yes' }
+  ]);
+  assert.equal(members.get('abc123').points, 0);
+});
@@ -0,0 +1,60 @@
+// Builds the same events and form responses two ways: as the strings the bot reads
+// from the Sheets API, and as the Date values Apps Script hands SheetUpdate.gs.
+import moment from 'moment-timezone';
+
+export const POINT_TYPES = [['General Meeting', 2], ['Social', 1]];
+
+/**
+ * @param {Object} spec - { date: 'YYYY-MM-DD', start: 'HH:mm', end: 'HH:mm', name, type, code }
+ */
+export function toSheetEvent(spec) {
+  return {
+    date: spec.date,
+    startTime: moment(spec.start, 'HH:mm').format('h:mm A'),
+    endTime: moment(spec.end, 'HH:mm').format('h:mm A'),
+    eventName: spec.name,
+    eventType: spec.type,
+    eventCode: spec.code,
+    rotationSecret: '',
+    rotationSeconds: null,
+    seriesId: ''
+  };
+}
+
+export function toAppsScriptEvent(spec) {
+  const [year, month, day] = spec.date.split('-').map(Number);
+  const time = (value) => {
+    const [hours, minutes] = value.split(':').map(Number);
+    // Sheets time-only cells come back as dates on 12/30/1899
+    return new Date(1899, 11, 30, hours, minutes);
+  };
+  return {
+    date: new Date(year, month - 1, day),
+    startTime: time(spec.start),
+    endTime: time(spec.end),
+    eventName: spec.name,
+    eventType: spec.type,
+    eventCode: spec.code
+  };
+}
+
+/**
+ * @param {Object} spec - { at: 'YYYY-MM-DD HH:mm:ss', email, code, firstName, lastName, anonymous }
+ */
+export function toSheetResponse(spec) {
+  return {
+    timestamp: moment(spec.at, 'YYYY-MM-DD HH:mm:ss').format('M/D/YYYY H:mm:ss'),
+    email: spec.email,
+    eventCode: spec.code,
+    firstName: spec.firstName,
+    lastName: spec.lastName,
+    anonymous: spec.anonymous
+  };
+}
+
+export function toAppsScriptResponse(spec) {
+  return {
+    ...toSheetResponse(spec),
+    timestamp: moment(spec.at, 'YYYY-MM-DD HH:mm:ss').toDate()
+  };
+}
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandHandlers, parseCsv, parseEventsCsv, parseEventsIcs } from '../index.js';
+
+const POINT_TYPES = [{ eventType: 'General Meeting', points: 2 }, { eventType: 'Social', points: 1 }];
+
+test('parseCsv handles quoted commas, doubled quotes and line breaks', () => {
+  assert.deepEqual(parseCsv('name,notes\n"Smith, Jo","said ""hi""\nthen left"\n'), [
+    ['name', 'notes'],
+    ['Smith, Jo', 'said "hi"\nthen left']
+  ]);
+});
+
+test('parseCsv strips a byte order mark and accepts CRLF line endings', () => {
+  assert.deepEqual(parseCsv('\uFEFFDate,Name\r\n2026-10-14,GM\r\n\r\n2026-10-21,GM 2\r\n'), [
+    ['Date', 'Name'],
+    ['2026-10-14', 'GM'],
+    ['2026-10-21', 'GM 2']
+  ]);
+});
+
+test('parseEventsCsv matches headers loosely and numbers rows by file line', () => {
+  const text = '\uFEFFDate,Start,End Time,event_name,Type,Code\r\n10/14/2026,6pm,7pm," Kickoff, Fall ",General Meeting,\r\n';
+  assert.deepEqual(parseEventsCsv(text), [{
+    line: 2,
+    date: '10/14/2026',
+    startTime: '6pm',
+    endTime: '7pm',
+    eventName: 'Kickoff, Fall',
+    eventType: 'General Meeting',
+    eventCode: ''
+  }]);
+});
+
+test('parseEventsIcs reads folded, escaped and time-zoned events', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'SUMMARY:Game Night\\, Board Games',
+    '  and Snacks',
+    'DTSTART;TZID=America/New_York:20261015T210000',
+    'DTEND;TZID=America/New_York:20261015T230000',
+    'CATEGORIES:Fun,social',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Kickoff',
+    'DTSTART:20261014T230000Z',
+    'DTEND:20261015T000000Z',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  assert.deepEqual(parseEventsIcs(ics, POINT_TYPES), [
+    { line: 1, date: '2026-10-15', startTime: '8:00 PM', endTime: '10:00 PM', eventName: 'Game Night, Board Games and Snacks', eventType: 'social' },
+    { line: 2, date: '2026-10-14', startTime: '6:00 PM', endTime: '7:00 PM', eventName: 'Kickoff', eventType: '' }
+  ]);
+});
+
+test('parseEventsIcs flags events it cannot import', () => {
+  const ics = [
+    'BEGIN:VEVENT', 'SUMMARY:Weekly', 'DTSTART:20261014T230000Z', 'DTEND:20261015T000000Z', 'RRULE:FREQ=WEEKLY', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:All day', 'DTSTART;VALUE=DATE:20261014', 'DTEND;VALUE=DATE:20261015', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:Retreat', 'DTSTART:20261014T230000Z', 'DTEND:20261016T000000Z', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:Mars', 'DTSTART;TZID=Mars/Olympus:20261014T180000', 'DTEND:20261015T000000Z', 'END:VEVENT'
+  ].join('\n');
+
+  assert.deepEqual(parseEventsIcs(ics, POINT_TYPES).map(entry => [entry.eventName, entry.error]), [
+    ['Weekly', 'Repeating calendar events are not supported; use `/add-event-series` instead'],
+    ['All day', 'Needs a start and end time (all-day events and unknown timezones are not supported)'],
+    ['Retreat', 'Must start and end on the same day'],
+    ['Mars', 'Needs a start and end time (all-day events and unknown timezones are not supported)']
+  ]);
+});
+
+test('validateImportRows reports a reason for each row it rejects', () => {
+  const existingEvents = [{ date: '2026-10-01', startTime: '6:00 PM', endTime: '7:00 PM', eventName: 'Old', eventType: 'Social', eventCode: 'TAKEN' }];
+  const row = (line, fields) => ({ line, date: '2026-10-14', startTime: '6pm', endTime: '7pm', eventName: 'GM', eventType: 'General Meeting', eventCode: '', ...fields });
+  const results = CommandHandlers.prototype.validateImportRows([
+    row(2, {}),
+    row(3, { eventName: '' }),
+    row(4, { date: '14th October' }),
+    row(5, { startTime: 'soon' }),
+    row(6, { endTime: '5pm' }),
+    row(7, { eventType: 'Party' }),
+    row(8, { eventType: '' }),
+    row(9, { eventCode: 'taken' }),
+    row(10, { eventCode: 'NEW1' }),
+    row(11, { eventCode: 'new 1' }),
+    row(12, { error: 'Must start and end on the same day' })
+  ], existingEvents, POINT_TYPES, null);
+
+  assert.equal(results[0].event.date, '2026-10-14');
+  assert.equal(results[0].event.startTime, '6:00 PM');
+  assert.match(results[0].event.eventCode, /^[A-Z2-9]{6}$/);
+  assert.equal(results[0].generatedCode, true);
+  assert.deepEqual(results[8], { line: 10, event: { ...results[0].event, eventCode: 'NEW1' }, generatedCode: false });
+
+  assert.deepEqual(results.filter(result => result.error).map(result => result.line), [3, 4, 5, 6, 7, 8, 9, 11, 12]);
+  assert.equal(results[1].error, 'Missing event name');
+  assert.equal(results[2].error, 'Invalid date "14th October"');
+  assert.equal(results[3].error, 'Invalid start time "soon"');
+  assert.equal(results[4].error, 'End time (5:00 PM) must be after start time (6:00 PM)');
+  assert.equal(results[5].error, 'Unknown event type "Party"');
+  assert.equal(results[6].error, 'Missing event type (or set `event-type` for the whole file)');
+  assert.match(results[7].error, /"taken" is already used by "Old"/);
+  // A code repeated within the file conflicts with the earlier row
+  assert.match(results[9].error, /"new 1" is already used by "GM"/);
+  assert.equal(results[10].error, 'Must start and end on the same day');
+});
+
+test('validateImportRows uses the default event type for rows without one', () => {
+  const [result] = CommandHandlers.prototype.validateImportRows(
+    [{ line: 2, date: '2026-10-14', startTime: '6pm', endTime: '7pm', eventName: 'GM', eventType: '' }], [], POINT_TYPES, 'Social'
+  );
+  assert.equal(result.event.eventType, 'Social');
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankByPoints } from '../index.js';
+
+const ranks = (entries) => rankByPoints(entries).map(entry => [entry.netId, entry.rank]);
+
+test('rankByPoints orders members by points, best first', () => {
+  assert.deepEqual(ranks([
+    { netId: 'c', points: 1 },
+    { netId: 'a', points: 9 },
+    { netId: 'b', points: 4 }
+  ]), [['a', 1], ['b', 2], ['c', 3]]);
+});
+
+test('rankByPoints gives tied members the same rank and skips the ranks they share', () => {
+  assert.deepEqual(ranks([
+    { netId: 'a', points: 10 },
+    { netId: 'b', points: 8 },
+    { netId: 'c', points: 8 },
+    { netId: 'd', points: 5 },
+    { netId: 'e', points: 5 },
+    { netId: 'f', points: 5 },
+    { netId: 'g', points: 1 }
+  ]).map(([, rank]) => rank), [1, 2, 2, 4, 4, 4, 7]);
+});
+
+test('rankByPoints ranks everyone first when all points are equal', () => {
+  assert.deepEqual(ranks([
+    { netId: 'a', points: 3 },
+    { netId: 'b', points: 3 },
+    { netId: 'c', points: 3 }
+  ]).map(([, rank]) => rank), [1, 1, 1]);
+});
+
+test('rankByPoints keeps the other fields and handles no entries', () => {
+  assert.deepEqual(rankByPoints([{ netId: 'a', name: 'Ada', points: 2 }]), [{ netId: 'a', name: 'Ada', points: 2, rank: 1 }]);
+  assert.deepEqual(rankByPoints([]), []);
+});
@@ -0,0 +1,47 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LocalFileStorage } from '../index.js';
+
+const HEADERS = ['Event Type', 'Points'];
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-storage-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const readFile = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+test('appends and rewrites are saved to the JSON file', async () => {
+  const filePath = path.join(dir, 'storage.json');
+  const storage = new LocalFileStorage(filePath);
+
+  await storage.appendSheetData('Event Types', 'TYPES', [['Social', '1'], ['Workshop', '2'], ['Social Hour', '1']]);
+  await storage.modifySheetData('Event Types', 'TYPES', rows => rows.filter(row => row[0] !== 'Workshop'));
+
+  const expected = [HEADERS, ['Social', '1'], ['Social Hour', '1']];
+  assert.deepEqual(await storage.fetchSheetData('Event Types', 'TYPES'), expected);
+  assert.deepEqual(readFile(filePath)['Event Types'], expected);
+});
+
+test('a failed save is rolled back and does not block later saves', async () => {
+  // A file where the data directory should be makes the save fail until it is removed
+  const blocked = path.join(dir, 'data');
+  fs.writeFileSync(blocked, '');
+  const filePath = path.join(blocked, 'storage.json');
+  const storage = new LocalFileStorage(filePath);
+
+  await assert.rejects(storage.appendSheetData('Event Types', 'TYPES', [['Social', '1']]));
+  assert.deepEqual(await storage.fetchSheetData('Event Types', 'TYPES'), [HEADERS]);
+
+  fs.rmSync(blocked);
+  await storage.appendSheetData('Event Types', 'TYPES', [['Workshop', '2']]);
+
+  assert.deepEqual(readFile(filePath)['Event Types'], [HEADERS, ['Workshop', '2']]);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import moment from 'moment-timezone';
+import { AttendanceProcessor, CONFIG, SUBMISSION_STATUS, generateRotatingCode } from '../index.js';
+
+const processor = new AttendanceProcessor(null);
+const rotatingEvent = {
+  date: '2026-10-14',
+  startTime: '6:00 PM',
+  endTime: '7:00 PM',
+  eventName: 'General Meeting',
+  eventType: 'General Meeting',
+  eventCode: 'STATIC',
+  rotationSecret: 'a3f1c29e5b7d4086e1f2a3b4c5d6e7f8091a2b3c',
+  rotationSeconds: 30
+};
+const staticEvent = { ...rotatingEvent, date: '2026-10-15', eventCode: 'PLAIN', rotationSecret: '', rotationSeconds: null };
+const events = [rotatingEvent, staticEvent];
+const eventLookup = processor.createEventLookup(events);
+
+const submittedAt = moment.tz('2026-10-14 18:10:10', CONFIG.TIMEZONE);
+const codeAt = (secondsBefore) => generateRotatingCode(rotatingEvent, submittedAt.clone().subtract(secondsBefore, 'seconds'));
+const evaluate = (eventCode, timestamp = submittedAt.format('YYYY-MM-DD HH:mm:ss')) =>
+  processor.evaluateSubmission({ eventCode, timestamp }, events, eventLookup).status;
+
+test('generateRotatingCode matches the RFC 6238 SHA-1 test vectors', () => {
+  // Secret "12345678901234567890"; the RFC lists 8 digit codes, of which these are the last 6
+  const event = { rotationSecret: Buffer.from('12345678901234567890').toString('hex'), rotationSeconds: 30 };
+  assert.equal(generateRotatingCode(event, moment.unix(59)), '287082');
+  assert.equal(generateRotatingCode(event, moment.unix(1111111109)), '081804');
+  assert.equal(generateRotatingCode(event, moment.unix(1234567890)), '005924');
+});
+
+test('generateRotatingCode changes only at period boundaries', () => {
+  const periodStart = moment.unix(Math.floor(submittedAt.unix() / 30) * 30);
+  assert.equal(generateRotatingCode(rotatingEvent, periodStart), generateRotatingCode(rotatingEvent, periodStart.clone().add(29, 'seconds')));
+  assert.notEqual(generateRotatingCode(rotatingEvent, periodStart), generateRotatingCode(rotatingEvent, periodStart.clone().add(30, 'seconds')));
+  assert.match(generateRotatingCode(rotatingEvent, periodStart), /^\d{6}$/);
+});
+
+test('the current rotating code is accepted', () => {
+  assert.equal(evaluate(codeAt(0)), SUBMISSION_STATUS.ACCEPTED);
+});
+
+test('the previous rotating code is still accepted', () => {
+  assert.equal(evaluate(codeAt(30)), SUBMISSION_STATUS.ACCEPTED);
+});
+
+test('a rotating code from two periods back is rejected', () => {
+  assert.equal(evaluate(codeAt(60)), SUBMISSION_STATUS.INVALID_CODE);
+});
+
+test('a rotating code is only valid on the day of its event', () => {
+  const nextDay = submittedAt.clone().add(1, 'day');
+  const code = generateRotatingCode(rotatingEvent, nextDay);
+  assert.equal(evaluate(code, nextDay.format('YYYY-MM-DD HH:mm:ss')), SUBMISSION_STATUS.INVALID_CODE);
+});
+
+test('a rotating event never accepts the static code in its sheet row', () => {
+  assert.equal(evaluate('STATIC'), SUBMISSION_STATUS.INVALID_CODE);
+});
+
+test('events without rotation keep accepting their static code', () => {
+  assert.equal(evaluate('PLAIN', '2026-10-15 18:10:10'), SUBMISSION_STATUS.ACCEPTED);
+});
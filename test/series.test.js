@@ -0,0 +1,64 @@
+// Series dates are walked one local day at a time, so run in a zone with daylight saving
+process.env.TZ = 'America/Chicago';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, RECURRENCES, buildSeriesDates } from '../index.js';
+
+test('weekly series repeat on the start date\'s weekday', () => {
+  assert.deepEqual(
+    buildSeriesDates({ startDate: '2026-09-01', recurrence: RECURRENCES.WEEKLY, count: 3 }),
+    ['2026-09-01', '2026-09-08', '2026-09-15']
+  );
+});
+
+test('biweekly series skip every other week', () => {
+  assert.deepEqual(
+    buildSeriesDates({ startDate: '2026-09-01', recurrence: RECURRENCES.BIWEEKLY, count: 3 }),
+    ['2026-09-01', '2026-09-15', '2026-09-29']
+  );
+});
+
+test('custom series use the chosen weekdays, starting from the start date', () => {
+  // 2026-09-02 is a Wednesday; Mondays (1) and Wednesdays (3)
+  assert.deepEqual(
+    buildSeriesDates({ startDate: '2026-09-02', recurrence: RECURRENCES.CUSTOM, weekdays: [1, 3], count: 4 }),
+    ['2026-09-02', '2026-09-07', '2026-09-09', '2026-09-14']
+  );
+});
+
+test('an end date includes occurrences on that date and ignores count', () => {
+  assert.deepEqual(
+    buildSeriesDates({ startDate: '2026-09-01', recurrence: RECURRENCES.WEEKLY, count: 1, endDate: '2026-09-22' }),
+    ['2026-09-01', '2026-09-08', '2026-09-15', '2026-09-22']
+  );
+});
+
+test('skipped dates are left out and do not count toward count', () => {
+  assert.deepEqual(
+    buildSeriesDates({ startDate: '2026-09-01', recurrence: RECURRENCES.WEEKLY, count: 3, skipDates: ['2026-09-08'] }),
+    ['2026-09-01', '2026-09-15', '2026-09-22']
+  );
+  assert.deepEqual(
+    buildSeriesDates({ startDate: '2026-09-01', recurrence: RECURRENCES.WEEKLY, endDate: '2026-09-15', skipDates: ['2026-09-08'] }),
+    ['2026-09-01', '2026-09-15']
+  );
+});
+
+test('series stop one past MAX_OCCURRENCES so callers can refuse them', () => {
+  const dates = buildSeriesDates({ startDate: '2026-01-01', recurrence: RECURRENCES.CUSTOM, weekdays: [0, 1, 2, 3, 4, 5, 6], endDate: '2027-12-31' });
+  assert.equal(dates.length, CONFIG.SERIES.MAX_OCCURRENCES + 1);
+  assert.equal(dates[0], '2026-01-01');
+});
+
+test('series keep their weekday across daylight saving changes', () => {
+  // Clocks fall back on 2026-11-01 and spring forward on 2027-03-14
+  assert.deepEqual(
+    buildSeriesDates({ startDate: '2026-10-20', recurrence: RECURRENCES.WEEKLY, count: 4 }),
+    ['2026-10-20', '2026-10-27', '2026-11-03', '2026-11-10']
+  );
+  assert.deepEqual(
+    buildSeriesDates({ startDate: '2027-03-01', recurrence: RECURRENCES.BIWEEKLY, endDate: '2027-03-29' }),
+    ['2027-03-01', '2027-03-15', '2027-03-29']
+  );
+});
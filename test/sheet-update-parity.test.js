@@ -0,0 +1,108 @@
+// The bot replaced SheetUpdate.gs, so for the same sheet data it must credit the
+// same members with the same points as the Apps Script version did.
+process.env.TZ = 'America/Chicago'; // Apps Script runs in the spreadsheet's time zone
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import vm from 'vm';
+import { AttendanceProcessor, SUBMISSION_STATUS } from '../index.js';
+import { POINT_TYPES, toAppsScriptEvent, toAppsScriptResponse, toSheetEvent, toSheetResponse } from './fixtures.js';
+
+const sheetUpdate = vm.runInNewContext(
+  `${fs.readFileSync(new URL('../SheetUpdate.gs', import.meta.url), 'utf8')}\n({ isValidSubmission, createEventLookup, processFormSubmissions })`
+);
+
+const EVENTS = [
+  { date: '2026-10-14', start: '18:00', end: '19:00', name: 'General Meeting', type: 'General Meeting', code: 'GM1014' },
+  { date: '2026-10-21', start: '18:00', end: '19:00', name: 'General Meeting', type: 'General Meeting', code: 'GM1014' },
+  { date: '2026-10-15', start: '20:00', end: '22:00', name: 'Game Night', type: 'Social', code: 'GAME' },
+  { date: '2026-10-16', start: '12:00', end: '13:00', name: 'Lunch', type: 'Unlisted Type', code: 'LUNCH' }
+];
+
+function runAppsScript(responses) {
+  const events = EVENTS.map(toAppsScriptEvent);
+  const members = sheetUpdate.processFormSubmissions(
+    responses.map(toAppsScriptResponse),
+    events,
+    sheetUpdate.createEventLookup(events),
+    new Map(POINT_TYPES)
+  );
+  return summarize(members);
+}
+
+function runBot(responses) {
+  const processor = new AttendanceProcessor(null);
+  const events = EVENTS.map(toSheetEvent);
+  const submissions = processor.mergeSubmissions(responses.map(toSheetResponse), []);
+  const { members } = processor.processSubmissions(
+    submissions, events, processor.createEventLookup(events), new Map(POINT_TYPES), { from: null, to: null }
+  );
+  return summarize(members);
+}
+
+function summarize(members) {
+  return [...members]
+    .map(([netId, member]) => [netId, {
+      firstName: member.firstName,
+      lastName: member.lastName,
+      anonymous: member.anonymous,
+      points: member.points
+    }])
+    .sort(([a], [b]) => a.localeCompare(b));
+}
+
+const response = (at, email, code, overrides = {}) =>
+  ({ at, email, code, firstName: 'Ada', lastName: 'Lovelace', anonymous: 'Yes', ...overrides });
+
+test('isValidSubmission and the bot agree on the 30 minute tolerance edges', () => {
+  const appsScriptEvent = toAppsScriptEvent(EVENTS[0]);
+  const cases = ['2026-10-14 17:29:59', '2026-10-14 17:30:00', '2026-10-14 18:30:00', '2026-10-14 19:30:00', '2026-10-14 19:30:01'];
+
+  cases.forEach(at => {
+    const expected = sheetUpdate.isValidSubmission(
+      toAppsScriptResponse(response(at, 'a@school.edu', 'GM1014')).timestamp,
+      appsScriptEvent.date, appsScriptEvent.startTime, appsScriptEvent.endTime, 30
+    );
+    const actual = new AttendanceProcessor(null).checkSubmissionWindow(
+      toSheetResponse(response(at, 'a@school.edu', 'GM1014')).timestamp, toSheetEvent(EVENTS[0]), 30
+    ) === SUBMISSION_STATUS.ACCEPTED;
+    assert.equal(actual, expected, at);
+  });
+});
+
+test('wrong dates earn nothing in either version', () => {
+  const responses = [response('2026-10-13 18:10:00', 'abc123@school.edu', 'GM1014')];
+  assert.deepEqual(runBot(responses), runAppsScript(responses));
+  assert.equal(runBot(responses)[0][1].points, 0);
+});
+
+test('duplicates are credited once per event in either version', () => {
+  const responses = [
+    response('2026-10-14 18:05:00', 'abc123@school.edu', 'GM1014'),
+    response('2026-10-14 18:15:00', 'abc123@school.edu', 'GM1014'),
+    response('2026-10-14 18:20:00', 'xyz789@school.edu', 'GM1014', { firstName: 'Alan', lastName: 'Turing' }),
+    response('2026-10-21 18:10:00', 'abc123@school.edu', 'GM1014'),
+    response('2026-10-15 21:00:00', 'abc123@school.edu', 'GAME'),
+    response('2026-10-16 12:30:00', 'xyz789@school.edu', 'LUNCH', { firstName: 'Alan', lastName: 'Turing' })
+  ];
+  assert.deepEqual(runBot(responses), runAppsScript(responses));
+});
+
+test('anonymity follows the latest response in either version', () => {
+  const responses = [
+    response('2026-10-14 18:05:00', 'abc123@school.edu', 'GM1014', { anonymous: 'No' }),
+    response('2026-10-21 18:05:00', 'abc123@school.edu', 'GM1014', { anonymous: 'Yes', lastName: 'King' }),
+    response('2026-10-14 18:05:00', 'xyz789@school.edu', 'GM1014', { anonymous: '' }),
+    response('2026-10-14 18:06:00', 'def456@school.edu', 'GM1014', { anonymous: 'No' })
+  ];
+  assert.deepEqual(runBot(responses), runAppsScript(responses));
+});
+
+test('unknown codes earn nothing but still list the member in either version', () => {
+  const responses = [
+    response('2026-10-14 18:05:00', 'abc123@school.edu', 'NOPE'),
+    response('2026-10-14 18:05:00', 'xyz789@school.edu', 'GM1014', { firstName: 'Alan', lastName: 'Turing' })
+  ];
+  assert.deepEqual(runBot(responses), runAppsScript(responses));
+});